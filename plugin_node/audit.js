@@ -0,0 +1,116 @@
+/**
+ * @file audit.js
+ * @author John Holbrook
+ * Audit log: a record of every command sent, every field set event recieved, and every connection change,
+ * written as one JSON object per line to a new file each day. Files older than the retention period are deleted.
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// where to write the log and how long to keep it, if the user hasn't said otherwise
+const default_directory = path.join(os.homedir(), "VEX TM Stream Deck Logs");
+const default_retention_days = 30;
+
+var enabled = false; // is the audit log turned on?
+var directory = default_directory; // directory the log files are written to
+var retentionDays = default_retention_days; // number of days to keep log files for
+var stream = null; // stream for the log file currently being written to
+var streamDate = null; // date (YYYY-MM-DD) of the log file currently being written to
+var onError = () => {}; // called with a message when something goes wrong writing the log
+
+/**
+ * Get the local date as YYYY-MM-DD, used to name each day's log file.
+ * @param {Date} date the date
+ * @returns String
+ */
+function dateString(date){
+    let pad = n => String(n).padStart(2, "0");
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Apply the audit log settings from the property inspector.
+ * @param {Object} settings object with "enabled", "directory" and "retention_days" properties (or undefined to turn the log off)
+ * @param {Function} errorHandler called with a message when something goes wrong writing the log
+ */
+function configure(settings, errorHandler){
+    settings = settings ? settings : {};
+    let new_directory = settings.directory ? settings.directory : default_directory;
+    let new_retention = Number(settings.retention_days) > 0 ? Number(settings.retention_days) : default_retention_days;
+    if (errorHandler) onError = errorHandler;
+
+    // start a new file if the log was moved or turned off
+    if (!settings.enabled || new_directory != directory) closeStream();
+
+    enabled = settings.enabled ? true : false;
+    directory = new_directory;
+    retentionDays = new_retention;
+    if (enabled) prune();
+}
+
+/**
+ * Stop writing to the current log file.
+ */
+function closeStream(){
+    if (stream) stream.end();
+    stream = null;
+    streamDate = null;
+}
+
+/**
+ * Get a stream for today's log file, switching to a new file (and deleting old ones) when the date changes.
+ * @returns WriteStream, or null if the log directory couldn't be created
+ */
+function getStream(){
+    let today = dateString(new Date());
+    if (stream && streamDate == today) return stream;
+
+    closeStream();
+    try {
+        fs.mkdirSync(directory, {recursive: true});
+    }
+    catch (err){
+        onError(`Couldn't create audit log directory ${directory}: ${err}`);
+        return null;
+    }
+    stream = fs.createWriteStream(path.join(directory, `audit-${today}.jsonl`), {flags: "a"});
+    stream.on("error", err => onError(`Couldn't write audit log: ${err}`));
+    streamDate = today;
+    prune();
+    return stream;
+}
+
+/**
+ * Delete log files older than the retention period.
+ */
+function prune(){
+    let cutoff = dateString(new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000));
+    fs.readdir(directory, (err, files) => {
+        if (err) return; // nothing has been logged here yet
+        files.forEach(file => {
+            let match = file.match(/^audit-(\d{4}-\d{2}-\d{2})\.jsonl$/);
+            if (match && match[1] < cutoff){
+                fs.unlink(path.join(directory, file), err => {
+                    if (err) onError(`Couldn't delete old audit log ${file}: ${err}`);
+                });
+            }
+        });
+    });
+}
+
+/**
+ * Add an entry to the audit log (if it's turned on), with the current time.
+ * @param {Object} entry what happened, with at least a "type" ("command", "event" or "connection")
+ */
+function record(entry){
+    if (!enabled) return;
+    let out = getStream();
+    if (out) out.write(JSON.stringify(Object.assign({time: new Date().toISOString()}, entry)) + "\n");
+}
+
+module.exports = {
+    configure,
+    record
+};
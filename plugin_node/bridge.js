@@ -0,0 +1,168 @@
+/**
+ * @file bridge.js
+ * @author John Holbrook
+ * Optional local HTTP/WebSocket server that lets other tools (e.g. Bitfocus Companion or stream overlays) send commands
+ * to TM through the plugin's connections and follow the state of each field set.
+ *
+ * Every request must include the token, either as an "Authorization: Bearer <token>" header or a "token" query parameter.
+ * - GET /state returns the status and state of every connection
+ * - POST /command sends a command (JSON body like {"cmd": "setAudienceDisplay", "display": "RANKINGS", "profile": "default"})
+ * - a WebSocket at /events is sent the state of every connection when it opens, then a message for every state change
+ *   ({"type": "state", ...}) and every event recieved from TM ({"type": "event", ...})
+ */
+
+const http = require("http");
+const crypto = require("crypto");
+const WebSocket = require("ws");
+
+const default_port = 8650;
+const max_body_length = 16 * 1024; // commands are tiny, so anything bigger than this is rejected
+
+var server = null; // HTTP server, while the bridge is running
+var wss = null; // WebSocket server for /events, while the bridge is running
+var config = null; // settings the bridge was started with
+var handlers = null; // functions provided by the plugin to get state and send commands
+
+/**
+ * Start, restart or stop the bridge to match its settings from the property inspector.
+ * @param {Object} settings object with "enabled", "port" and "token" properties (or undefined to stop the bridge)
+ * @param {Object} pluginHandlers object with the functions:
+ *  - getState(): returns the list of connections and their state
+ *  - runCommand(step): sends a command, returns a promise (rejected with an error with a "status" code if it can't be sent)
+ *  - log(message): writes a message to the plugin log
+ */
+function configure(settings, pluginHandlers){
+    settings = settings ? settings : {};
+    handlers = pluginHandlers;
+    let new_config = {
+        enabled: settings.enabled ? true : false,
+        port: Number(settings.port) > 0 ? Number(settings.port) : default_port,
+        token: settings.token ? String(settings.token) : ""
+    };
+    if (config && JSON.stringify(config) == JSON.stringify(new_config)) return;
+
+    stop();
+    config = new_config;
+    if (!config.enabled) return;
+    if (!config.token){
+        handlers.log("Bridge not started: a token is required");
+        return;
+    }
+
+    server = http.createServer(handleRequest);
+    wss = new WebSocket.Server({noServer: true});
+    server.on("upgrade", (req, socket, head) => {
+        let url = new URL(req.url, "http://localhost");
+        if (url.pathname != "/events" || !authorized(req, url)){
+            socket.write("HTTP/1.1 401 Unauthorized\r\n\r\n");
+            socket.destroy();
+            return;
+        }
+        wss.handleUpgrade(req, socket, head, ws => {
+            ws.send(JSON.stringify({type: "snapshot", connections: handlers.getState()}));
+        });
+    });
+    server.on("error", err => handlers.log(`Bridge error: ${err}`));
+    // only listen on the loopback interface, other tools on this computer are the only ones that should use the bridge
+    server.listen(config.port, "127.0.0.1", () => handlers.log(`Bridge listening on port ${config.port}`));
+}
+
+/**
+ * Stop the bridge, if it's running, closing any open WebSockets.
+ */
+function stop(){
+    if (wss){
+        wss.clients.forEach(ws => ws.terminate());
+        wss.close();
+        wss = null;
+    }
+    if (server){
+        server.close();
+        server = null;
+    }
+}
+
+/**
+ * Check that a request included the right token.
+ * @param {Object} req the HTTP request
+ * @param {URL} url the parsed request URL
+ * @returns Boolean
+ */
+function authorized(req, url){
+    let header = req.headers["authorization"];
+    let token = (header && header.startsWith("Bearer ")) ? header.slice(7) : url.searchParams.get("token");
+    if (!token) return false;
+    let expected = Buffer.from(config.token);
+    let given = Buffer.from(token);
+    return given.length == expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+/**
+ * Send a JSON response.
+ * @param {Object} res the HTTP response
+ * @param {Number} status HTTP status code
+ * @param {Object} body object to send as JSON
+ */
+function reply(res, status, body){
+    res.writeHead(status, {"Content-Type": "application/json"});
+    res.end(JSON.stringify(body));
+}
+
+/**
+ * Handle an HTTP request to the bridge.
+ * @param {Object} req the HTTP request
+ * @param {Object} res the HTTP response
+ */
+function handleRequest(req, res){
+    let url = new URL(req.url, "http://localhost");
+    if (!authorized(req, url)) return reply(res, 401, {error: "Missing or incorrect token"});
+
+    if (req.method == "GET" && url.pathname == "/state"){
+        reply(res, 200, {connections: handlers.getState()});
+    }
+    else if (req.method == "POST" && url.pathname == "/command"){
+        let body = "";
+        req.on("data", chunk => {
+            body += chunk;
+            if (body.length > max_body_length){
+                reply(res, 413, {error: "Request too large"});
+                req.destroy();
+            }
+        });
+        req.on("end", async () => {
+            if (res.writableEnded) return;
+            let step;
+            try {
+                step = JSON.parse(body);
+            }
+            catch (err){
+                return reply(res, 400, {error: "Body must be JSON"});
+            }
+            try {
+                await handlers.runCommand(step);
+                reply(res, 200, {ok: true});
+            }
+            catch (err){
+                reply(res, err.status ? err.status : 500, {error: err.message});
+            }
+        });
+    }
+    else reply(res, 404, {error: "Not found"});
+}
+
+/**
+ * Send a message to every tool connected to /events.
+ * @param {Object} message object to send as JSON
+ */
+function broadcast(message){
+    if (!wss) return;
+    let data = JSON.stringify(message);
+    wss.clients.forEach(ws => {
+        if (ws.readyState == WebSocket.OPEN) ws.send(data);
+    });
+}
+
+module.exports = {
+    configure,
+    broadcast
+};
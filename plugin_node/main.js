@@ -6,30 +6,183 @@
 
 const WebSocket = require("ws");
 const { Client, FieldsetQueueSkillsType, MatchRound } = require("vex-tm-client");
-const auth = require("./auth.json");
+// client credentials bundled with the plugin at build time (these can be overridden in the property inspector)
+var bundled_auth = {};
+try {
+    bundled_auth = require("./auth.json");
+}
+catch (err){
+    // no bundled credentials, so they must be entered in the property inspector
+}
+const { svgURL, renderKey, renderMatchInfo, renderOnDeck, renderField } = require("./render.js");
+const { SimulatedClient } = require("./simulator.js");
+const audit = require("./audit.js");
+const bridge = require("./bridge.js");
+const obs = require("./obs.js");
 
 // global variables
 var websocket = null; // websocket object used to talk to the stream deck software
 var pluginUUID = null; // opaque value provided by the Stream Deck software
-var tm_addr = null; // address of the TM server
-var tm_key = null; // TM API key
-var tm_fs_id = null; // ID of the field set we're connecting to
-var tm_fs = null;
-var tm_fs_conn = null; // object representing websocket connection to the field set
-var tm_client = null; // object representing connection to the TM server
+var profiles = []; // list of connection profiles (ID, name, server address, API key, field set ID) from the global settings
+var connections = {}; // object containing the live connection for each profile in use, keyed by profile ID
 var actions = []; // list of all the active actions
+var actionProfiles = {}; // object containing the ID of the connection profile selected for each action
 var selectedDisplays = {}; // object containing the display associated with each "select display" action
-var skillsFields = {}; // object containing the field to queue a skills match on for each "queue driving" or "queue programming" action
-var matchInfoActionPreferences = {}; // object containing user preferences for what to show on each "match info" action
-var tm_conn_established = false; // are we connected to tournament manager?
-var fields = null; // list of fields in the selected field set
-var fs_state = { // object representing the current state of the field set
-    selectedDisplay : null,
-    currentMatchName: null,
-    matchState: null,
-    currentField: null
-}
+var skillsFields = {}; // object containing the field shown on each "field" action
+var keyProtection = {}; // object containing the protection mode ("none", "long_press", "double_tap" or "not_running") of each protected action
+var armedKeys = {}; // object containing the timer for each protected action that is waiting for its press to be confirmed
+var teamStatsSettings = {}; // object containing the team to show (a team number, or a position in the queued match to follow) for each "team stats" action
+var onDeckCounts = {}; // object containing how many upcoming matches to show on each "on deck" action
+var scheduleStatusSettings = {}; // object containing the thresholds (min) for being behind, being late and a field being idle for each "schedule status" action
+var scheduleStatusTimer = null; // timer that updates "schedule status" actions while any are visible
+var displayDialSelections = {}; // object containing the display currently chosen (but not necessarily shown) on each "display dial" action
+var macroSteps = {}; // object containing the list of steps to run for each "macro" action
+var runningMacros = {}; // object containing the progress of each "macro" action that is currently running
+var rotationSettings = {}; // object containing the displays to rotate through (each with a dwell time) and the delay before resuming after a match, for each "display rotation" action
+var runningRotations = {}; // object containing the progress (next display, timer, whether it's paused) of each "display rotation" action that is currently running
+var matchInfoActionPreferences = {}; // object containing user preferences (info to show, whether to show teams, custom template) for each "match info" action
+var titleTemplates = {}; // object containing the title template of each "select display" action that has one
+var templateTitles = {}; // object containing the title most recently set from a template on each "select display" action
+var roundNames = {}; // object containing the short names of rounds that override the built-in ones, from the global settings
+var obsRules = []; // list of OBS scene/source changes to make when things happen in TM, from the global settings
+var credentials = null; // client credentials in use (from the property inspector, or bundled with the plugin), with their source and any expiry warning
+var lastReconnect = null; // value of the "reconnect" global setting the last time the profiles were connected
+var piContext = null; // UUID of the action whose property inspector is currently open
+var offlineActions = new Set(); // UUIDs of actions currently showing the "disconnected" image
+var dialPressEvent = "dialDown"; // event the Stream Deck software sends when a dial is pressed ("dialPress" before version 6.1)
+
+// ID of the profile built from settings saved before connection profiles existed
+const default_profile_id = "default";
+
+// bounds on the delay between attempts to reconnect to TM (ms)
+const reconnect_delay_min = 1000;
+const reconnect_delay_max = 30000;
+
+// how far ahead of the client credentials expiring to start warning about it (days)
+const credential_warning_days = 30;
+
+// actions that are configured with a target field
+const field_actions = ["us.johnholbrook.vextm.field"];
+
+// periods (and their lengths in seconds) of a match for each kind of match timing a profile can use
+const match_timings = {
+    "V5RC": [{period: "AUTONOMOUS", length: 15}, {period: "DRIVER", length: 105}],
+    "VURC": [{period: "AUTONOMOUS", length: 45}, {period: "DRIVER", length: 75}],
+    "VIQRC": [{period: "DRIVER", length: 60}]
+};
+
+// skills matches are a single one-minute period regardless of the program
+const skills_timing = [{period: "RUNNING", length: 60}];
+
+// match states during which a match is running
+const running_states = ["AUTONOMOUS", "DRIVER", "RUNNING"];
+
+// short description of each command that can be used in a macro, shown on the key while the macro runs
+const macro_step_names = {
+    "queueNextMatch": "Queue\nNext",
+    "queuePreviousMatch": "Queue\nPrev",
+    "queueDrivingSkills": "Queue\nDriving",
+    "queueProgrammingSkills": "Queue\nProg",
+    "startMatch": "Start",
+    "endMatchEarly": "End\nEarly",
+    "resetTimer": "Reset"
+};
+
+// text color for each match state on the touch strip of "match dial" actions
+const state_text_colors = {
+    "PRESTART": "#ffc233",
+    "PAUSE": "#ffc233",
+    "AUTONOMOUS": "#4cd964",
+    "DRIVER": "#4cd964",
+    "RUNNING": "#4cd964",
+    "STOPPED": "#ff5147"
+};
+
+// actions that can be protected against accidental presses, since they could ruin a live match
+const protected_actions = ["us.johnholbrook.vextm.end-early", "us.johnholbrook.vextm.reset", "us.johnholbrook.vextm.queue-prev"];
+
+// bridge commands that are rejected while a match is running or paused between periods, like "not_running" keys
+const bridge_protected_commands = ["endMatchEarly", "resetTimer"];
+
+// background of protected actions while they wait for a press to be confirmed
+const armed_color = "#c98a00";
+
+// how long a protected action must be held down ("long_press") or how soon it must be pressed again ("double_tap") (ms)
+const long_press_ms = 1000;
+const double_tap_ms = 1500;
 
+// actions that show information from the match schedule
+const schedule_actions = ["us.johnholbrook.vextm.on-deck", "us.johnholbrook.vextm.schedule-status"];
+
+// background of "schedule status" actions when on time, behind, late (or with an idle field), and before there's anything to compare
+const schedule_status_colors = {
+    "on_time": "#1f8a3b",
+    "behind": "#c98a00",
+    "late": "#b3261e",
+    "unknown": "#2b2b2b"
+};
+
+// how often "schedule status" actions are updated, so drift and idle time keep counting up between events (ms)
+const schedule_status_interval_ms = 15000;
+
+// actions that don't need a connection to TM to work
+const tm_independent_actions = ["us.johnholbrook.vextm.obs-status"];
+
+// background of "OBS status" actions for each status of the connection to OBS
+const obs_status_colors = {
+    "connected": "#1f8a3b",
+    "connecting": "#c98a00",
+    "not_connected": "#b3261e",
+    "auth_failed": "#b3261e",
+    "disabled": "#2b2b2b"
+};
+const obs_status_text = {
+    "connected": "Connected",
+    "connecting": "Connecting",
+    "not_connected": "Not\nFound",
+    "auth_failed": "Bad\nPassword",
+    "disabled": "Off"
+};
+
+// background of "team stats" actions
+const team_stats_color = "#2b2b2b";
+
+// how long "start/end" actions ignore presses after being pressed or after the match starts/stops (ms)
+const start_end_guard_ms = 1500;
+
+// how close to the end of a period (ms) the match can stop and still count as the period running out
+const period_end_tolerance_ms = 1500;
+
+// error codes of failed network requests, which mean TM couldn't be reached at all
+const network_error_codes = ["ECONNREFUSED", "ECONNRESET", "ENOTFOUND", "EAI_AGAIN", "ETIMEDOUT", "EHOSTUNREACH", "ENETUNREACH", "UND_ERR_CONNECT_TIMEOUT", "UND_ERR_SOCKET"];
+
+// OAuth error codes returned by the authorization server when it won't accept the client credentials (RFC 6749 section 5.2)
+const oauth_error_codes = ["invalid_client", "unauthorized_client", "invalid_grant", "invalid_request", "unsupported_grant_type", "invalid_scope"];
+
+// image shown on keys whose connection to TM is down
+const disconnected_image = svgURL(
+    `<svg xmlns="http://www.w3.org/2000/svg" width="144" height="144" viewBox="0 0 144 144">
+        <rect width="144" height="144" fill="#3a3a3a"/>
+        <circle cx="72" cy="72" r="44" fill="none" stroke="#d0342c" stroke-width="10"/>
+        <line x1="41" y1="41" x2="103" y2="103" stroke="#d0342c" stroke-width="10"/>
+    </svg>`
+);
+
+// short name of each round, keyed by the round ID TM sends, used in match names (rounds not listed, like "QF" or "R16", use their ID;
+// these can all be overridden in the property inspector)
+const round_short_names = {
+    "PRACTICE": "P",
+    "QUAL": "Q",
+    "TOP_N": "F", // IQ finals
+    "TIERED_TOP_N_QF": "QF", // ADC Quarterfinals
+    "TIERED_TOP_N_SF": "SF", // ADC Semifinals
+    "TIERED_TOP_N_F": "F", // ADC Finals
+    "ROUND_ROBIN": "RR",
+    "SKILLS": "Skills"
+};
+
+// rounds whose matches are numbered on their own ("Q 12") rather than by instance and match ("QF 2-1")
+const single_number_rounds = ["PRACTICE", "QUAL", "TOP_N", "TIERED_TOP_N_QF", "TIERED_TOP_N_SF", "TIERED_TOP_N_F"];
 
 // ID and name of each TM display
 const display_id_names = {
@@ -72,7 +225,7 @@ function log(message){
 /**
  * Set the title text on the specified action
  * @param {String} context UUID of action to set title on
- * @param {String} title title to write
+ * @param {String} title title to write (omit to go back to the title set by the user)
  */
 function setTitle(context, title){
     send({
@@ -99,6 +252,67 @@ function setState(context, state){
     });
 }
 
+/**
+ * Set the image shown on the specified action
+ * @param {String} context UUID of the action to set the image on
+ * @param {String} image base64 or SVG data URL of the image, or null to restore the image from the manifest
+ */
+function setImage(context, image){
+    send({
+        "event": "setImage",
+        "context": context,
+        "payload": image ? {"image": image} : {}
+    });
+}
+
+/**
+ * Set the values shown in the touch strip layout of the specified (encoder) action
+ * @param {String} context UUID of the action to set feedback on
+ * @param {Object} feedback object mapping keys of items in the layout to their new values
+ */
+function setFeedback(context, feedback){
+    send({
+        "event": "setFeedback",
+        "context": context,
+        "payload": feedback
+    });
+}
+
+/**
+ * Show the "OK" checkmark on the specified action
+ * @param {String} context UUID of the action to show the checkmark on
+ */
+function showOk(context){
+    send({
+        "event": "showOk",
+        "context": context
+    });
+}
+
+/**
+ * Show the "alert" (yellow triangle) on the specified action
+ * @param {String} context UUID of the action to show the alert on
+ */
+function showAlert(context){
+    send({
+        "event": "showAlert",
+        "context": context
+    });
+}
+
+/**
+ * Send a payload to the property inspector of the specified action
+ * @param {String} context UUID of the action whose property inspector should recieve the payload
+ * @param {Object} payload the JSON data to send
+ */
+function sendToPropertyInspector(context, payload){
+    send({
+        "event": "sendToPropertyInspector",
+        "context": context,
+        "payload": payload
+    });
+}
+
 /**
  * Remove an item from an array of Objects
  * @param {Array} arr array to remove the item from
@@ -134,274 +348,1910 @@ function delay(delayInms) {
 }
 
 /**
- * Update the content of all visible "match info" actions.
+ * Update the content of all visible "match info" actions (and the touch strip of "match dial" actions) bound to a connection.
+ * @param {Object} conn connection whose field set state should be shown
  */
-function updateMatchInfo(){
-    let info = `${fs_state.currentMatchName}\n${fs_state.currentField}\n${fs_state.matchState}`;
-    let options = {
-        1: info,
-        2: fs_state.currentMatchName,
-        3: fs_state.currentField,
-        4: fs_state.matchState
-    }
+function updateMatchInfo(conn){
+    let fs_state = conn.fs_state;
+    let info = {
+        matchName: fs_state.currentMatchName,
+        field: fs_state.currentField,
+        state: fs_state.matchState,
+        time: formatTime(fs_state.timeRemaining),
+        red: fs_state.redTeams,
+        blue: fs_state.blueTeams
+    };
 
     actions.forEach(action => {
-        if (action.action == "us.johnholbrook.vextm.match-info"){
+        if (action.action == "us.johnholbrook.vextm.match-info" && profileFor(action.uuid) == conn.profile.id){
             let preference = matchInfoActionPreferences[action.uuid];
-            setTitle(action.uuid, options[preference]);
+            let custom = (Number(preference.selected_info) == 6) ? fillTemplate(preference.template, templateValues(conn)).split("\n") : null;
+            setTitle(action.uuid, "");
+            setImage(action.uuid, renderMatchInfo(Object.assign({custom: custom}, info), preference.selected_info, preference.show_teams));
+        }
+        else if (action.action == "us.johnholbrook.vextm.match-dial" && profileFor(action.uuid) == conn.profile.id){
+            setFeedback(action.uuid, {
+                match: info.matchName ? info.matchName : "",
+                field: info.field ? info.field : "",
+                state: {
+                    value: info.time ? `${info.state} ${info.time}` : (info.state ? info.state : ""),
+                    color: state_text_colors[info.state] ? state_text_colors[info.state] : "#ffffff"
+                }
+            });
         }
     });
+    updateDisplayTitles(conn);
 }
 
 /**
- * Construct a "short name" for the specified match to be shown on "match info" actions
+ * Update the touch strip of all visible "display dial" actions bound to a connection.
+ * The chosen display is marked with a dot when it's the one currently shown.
+ * @param {Object} conn connection whose selected display should be shown
+ */
+function updateDisplayDials(conn){
+    Object.keys(displayDialSelections).forEach(uuid => {
+        if (profileFor(uuid) == conn.profile.id){
+            let display = displayDialSelections[uuid];
+            setFeedback(uuid, {
+                title: (display == conn.fs_state.selectedDisplay) ? "Display \u25CF" : "Display",
+                value: display_id_names[display].replace(/\n/g, " ")
+            });
+        }
+    });
+}
+
+/**
+ * Start the match if it isn't running, or end it early if it is, ignoring presses right after the last press or
+ * after the match started/stopped so a double press doesn't undo itself.
+ * @param {String} context UUID of the action that was pressed
+ * @param {Object} conn connection of the field set to start or end the match on
+ */
+function startOrEnd(context, conn){
+    if (Date.now() < conn.startEndLockedUntil){
+        showAlert(context);
+        return;
+    }
+    conn.startEndLockedUntil = Date.now() + start_end_guard_ms;
+    if (isMatchRunning(conn.fs_state)) conn.fs.endMatchEarly();
+    else conn.fs.startMatch();
+}
+
+/**
+ * Update the state of all visible "select display" actions bound to a connection.
+ * @param {Object} conn connection whose selected display should be shown
+ */
+function updateSelectedDisplays(conn){
+    Object.keys(selectedDisplays).forEach(uuid => {
+        if (profileFor(uuid) == conn.profile.id){
+            let this_action_disp = selectedDisplays[uuid];
+            setState(uuid, (this_action_disp == conn.fs_state.selectedDisplay) ? 0 : 1);
+        }
+    });
+    updateDisplayTitles(conn);
+}
+
+/**
+ * Update the state of all visible "start/end" actions bound to a connection (0 to start a match, 1 to end it).
+ * @param {Object} conn connection whose match state should be shown
+ */
+function updateStartEndActions(conn){
+    actions.forEach(action => {
+        if (action.action == "us.johnholbrook.vextm.start-end" && profileFor(action.uuid) == conn.profile.id){
+            setState(action.uuid, isMatchRunning(conn.fs_state) ? 1 : 0);
+        }
+    });
+}
+
+/**
+ * Update all visible "field" actions bound to a connection with an image of their field's queued match and state.
+ * @param {Object} conn connection whose fields should be shown
+ */
+function updateFieldActions(conn){
+    actions.forEach(action => {
+        if (field_actions.includes(action.action) && profileFor(action.uuid) == conn.profile.id){
+            // show the match queued on this field, and its state (the field set's match state if it's the active field)
+            let field_id = skillsFields[action.uuid];
+            let field = (field_id && conn.fields) ? conn.fields.find(f => f.id == Number(field_id)) : null;
+            let active = field && field.id == conn.fs_state.activeFieldID;
+            let match = field ? conn.fieldMatches[field.id] : null;
+            setTitle(action.uuid, "");
+            setImage(action.uuid, renderField({
+                field: field ? field.name : "No Field",
+                matchName: match ? buildMatchName(match) : null,
+                state: active ? conn.fs_state.matchState : "QUEUED",
+                red: match ? allianceTeams(match, "RED") : [],
+                blue: match ? allianceTeams(match, "BLUE") : []
+            }, active));
+        }
+    });
+}
+
+/**
+ * Determine whether a match is running on a field set (during either period, for two-period matches).
+ * @param {Object} fs_state state of the field set
+ * @returns Boolean
+ */
+function isMatchRunning(fs_state){
+    return running_states.includes(fs_state.matchState);
+}
+
+/**
+ * Determine whether a match is under way on a field set: running, or in the pause between its periods.
+ * @param {Object} fs_state state of the field set
+ * @returns Boolean
+ */
+function isMatchLive(fs_state){
+    return isMatchRunning(fs_state) || fs_state.matchState == "PAUSE";
+}
+
+/**
+ * Format a number of seconds as a match clock (e.g. "1:05").
+ * @param {Number} seconds number of seconds, or null if there's no clock running
+ * @returns String
+ */
+function formatTime(seconds){
+    if (seconds == null) return "";
+    return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, "0")}`;
+}
+
+/**
+ * Get the numbers of the teams on one alliance of a match.
  * @param {Object} match object representing the match sent by TM server
+ * @param {String} color "RED" or "BLUE"
+ * @returns Array of team numbers (empty if TM didn't send the alliances)
+ */
+function allianceTeams(match, color){
+    let alliance = (match.alliances ? match.alliances : []).find(a => String(a.color).toUpperCase() == color);
+    return alliance ? alliance.teams.map(teamNumber) : [];
+}
+
+/**
+ * Get a team number from a team sent by the TM server (which may be an object or just the number).
+ * @param {Object} team the team sent by TM
  * @returns String
  */
-function buildMatchName(match){
-    if (match.round == "PRACTICE") return `P ${match.match}`;
-    else if (match.round == "QUAL") return `Q ${match.match}`;
-    else if (match.round == "TOP_N") return `F ${match.match}`; // IQ finals
-    else if (match.round == "TIERED_TOP_N_QF") return `QF ${match.match}` // ADC Quarterfinals
-    else if (match.round == "TIERED_TOP_N_SF") return `SF ${match.match}` // ADC Semifinals
-    else if (match.round == "TIERED_TOP_N_F") return `F ${match.match}` // ADC Finals
-    else return `${match.round} ${match.instance}-${match.match}`;
+function teamNumber(team){
+    return (team && team.number) ? String(team.number) : String(team);
 }
 
 /**
- * Main function for the plugin.
+ * Determine whether two match objects sent by TM refer to the same match.
+ * @param {Object} a first match
+ * @param {Object} b second match
+ * @returns Boolean
  */
-function main(){
-    let inPort = process.argv[3];
-    pluginUUID = process.argv[5];
-    let inRegisterEvent = process.argv[7];
-    let inInfo = JSON.parse(process.argv[9]);
+function sameMatch(a, b){
+    return a.division == b.division && a.round == b.round && a.instance == b.instance && a.match == b.match;
+}
 
-    // create a new websocket on the appropriate port
-    websocket = new WebSocket(`ws://127.0.0.1:${inPort}`);
+/**
+ * Fetch the match schedule for a connection's field set from TM, if any actions bound to the connection need it.
+ * Only matches scheduled on one of the field set's fields are kept.
+ * @param {Object} conn connection to fetch the schedule on
+ */
+async function refreshSchedule(conn){
+    if (!actions.some(action => schedule_actions.includes(action.action) && profileFor(action.uuid) == conn.profile.id)) return;
 
-    // register the plugin with the Stream Deck Software
-    websocket.on("open", () => {
-        send({
-            "event": inRegisterEvent,
-            "uuid" : pluginUUID
-        });
+    let client = conn.client;
+    let matches = [];
+    let divisions = await client.getDivisions();
+    if (divisions.success){
+        for (let division of divisions.data){
+            let result = await division.getMatches();
+            if (result.success) matches = matches.concat(result.data);
+        }
+    }
 
-        log("Hello from plugin!")
+    if (client != conn.client) return; // reconnected while we were waiting, so this schedule may be stale
+    conn.schedule = matches.filter(m => conn.fields.some(f => f.id != 0 && f.id == Number(m.fieldID)));
+    updateOnDeck(conn);
+    updateScheduleStatus(conn);
+}
 
-        // hack to get the global settings
-        setTimeout(() => {
-            send({
-                "event": "getGlobalSettings",
-                "context": pluginUUID
-            });
-        }, 200);
+/**
+ * Fetch the match schedule in the background, logging any errors.
+ * @param {Object} conn connection to fetch the schedule on
+ */
+function requestSchedule(conn){
+    refreshSchedule(conn).catch(err => {
+        log(`[${conn.profile.name}] Failed to get match schedule: ${err}`);
     });
+}
 
-    // message handler
-    websocket.on("message", async data => {
-        let json = JSON.parse(data);
-        log(`Plugin recieved event: ${json.event}`);
+/**
+ * Get the next unplayed matches in the schedule after the match currently queued on a field set.
+ * @param {Object} conn connection whose schedule to use
+ * @param {Number} count maximum number of matches to return
+ * @returns Array of match objects
+ */
+function upcomingMatches(conn, count){
+    if (!conn.schedule) return [];
+    let idx = conn.currentMatch ? conn.schedule.findIndex(m => sameMatch(m, conn.currentMatch)) : -1;
+    return conn.schedule.slice(idx + 1).filter(m => m.state != "SCORED").slice(0, count);
+}
 
-        // recieve the TM address/key
-        if (json.event == "didReceiveGlobalSettings"){
-            tm_addr = json.payload.settings.address;
-            tm_key = json.payload.settings.tm_key;
-            tm_fs_id = json.payload.settings.fieldset;
-            // log(`Plugin recieved addr and key as: ${tm_addr}, ${tm_key}`);
-
-            // if we're already connected to TM, disconnect to try again
-            if (tm_fs_conn){
-                tm_fs_conn.disconnect();
-                tm_fs_conn = null;
-                tm_fs = null;
-            }
-            tm_conn_established = false;
-            // while (!tm_conn_established){
-                // try to connect to tournament manager
-                tm_client = new Client({
-                    address: `http://${tm_addr}`,
-                    authorization: {
-                    client_id: auth.client_id,
-                    client_secret: auth.client_secret,
-                    grant_type: "client_credentials",
-                    expiration_date: auth.expiration_date,
-                    },
-                    clientAPIKey: tm_key
-                });
+/**
+ * Update all visible "on deck" actions bound to a connection with the upcoming matches on its field set.
+ * @param {Object} conn connection whose upcoming matches should be shown
+ */
+function updateOnDeck(conn){
+    actions.forEach(action => {
+        if (action.action != "us.johnholbrook.vextm.on-deck" || profileFor(action.uuid) != conn.profile.id) return;
+        let matches = upcomingMatches(conn, onDeckCounts[action.uuid]).map(m => {
+            let field = conn.fields.find(f => f.id == Number(m.fieldID));
+            return {
+                name: buildMatchName(m),
+                field: field ? field.name : "",
+                red: allianceTeams(m, "RED"),
+                blue: allianceTeams(m, "BLUE")
+            };
+        });
+        setTitle(action.uuid, "");
+        setImage(action.uuid, renderOnDeck(matches));
+    });
+}
 
-                let conn_result = await tm_client.connect();
-                if (conn_result.success){
-                    log("Connected to TM!");
-                    tm_conn_established = true;
-                }
-                else {
-                    log("Failed to connect to TM, try again by clicking 'RECONNECT'");
-                    // log(JSON.stringify(conn_result))
-                    return;
-                }
-            // }
-            
-            // connect to speficied field set
-            let fieldsets = await tm_client.getFieldsets()
-            tm_fs = fieldsets.data.find(s => s.id == Number(tm_fs_id));
-            
-            // get list of fields in this set
-            fields = (await tm_fs.getFields()).data;
-            fields.push({id:0, name:""});
-            log(JSON.stringify(fields));
-
-            tm_fs_conn = await tm_fs.connect();
-            tm_fs.on("message", event => { // handler for messages from TM
-                // log(JSON.stringify(event));
-
-                if (event.type == "fieldMatchAssigned"){
-                    fs_state.currentField = fields.find(f => f.id == Number(event.fieldID)).name;
-                    let match = event.match;
-                    fs_state.currentMatchName = buildMatchName(match);
-                    updateMatchInfo();
-                }
+/**
+ * Get a key that identifies a match, for looking up when it started.
+ * @param {Object} match object representing the match sent by TM server
+ * @returns String
+ */
+function matchKey(match){
+    return `${match.division}-${match.round}-${match.instance}-${match.match}`;
+}
 
-                else if (event.type == "fieldActivated"){
-                    fs_state.currentField = fields.find(f => f.id == Number(event.fieldID)).name;
-                    updateMatchInfo();
-                }
+/**
+ * Get a time sent by TM (a number of ms, or a date string) as a number of ms.
+ * @param {*} value the time sent by TM
+ * @returns Number, or null if there isn't a valid time
+ */
+function timeValue(value){
+    if (value == null || value === "") return null;
+    let ms = (typeof value == "number") ? value : Date.parse(value);
+    return isNaN(ms) ? null : ms;
+}
 
-                else if (event.type == "matchStarted"){
-                    fs_state.matchState = "RUNNING";
-                    updateMatchInfo();
-                }
+/**
+ * Work out how far behind (or ahead of) schedule a field set is running, and when the current round will end.
+ * The drift is the difference between the scheduled and real start times of the last match to start, or how long ago the
+ * next match should have started, whichever is larger. Start times are the ones seen on the field set, or the ones TM reports
+ * for matches that started before the plugin connected.
+ * @param {Object} conn connection whose schedule to use
+ * @returns Object with the "drift" (ms, positive when behind) and projected "roundEnd" (ms, or null), or null if nothing has started yet
+ */
+function scheduleDrift(conn){
+    if (!conn.schedule) return null;
 
-                else if (event.type == "matchStopped"){
-                    fs_state.matchState = "STOPPED";
-                    updateMatchInfo();
-                }
+    let latest = null; // last match to start
+    conn.schedule.forEach((m, i) => {
+        let scheduled = timeValue(m.scheduled);
+        let started = conn.startTimes[matchKey(m)] ? conn.startTimes[matchKey(m)] : timeValue(m.started);
+        if (scheduled == null || started == null) return;
+        if (!latest || started > latest.started) latest = {index: i, scheduled: scheduled, started: started};
+    });
+    if (!latest) return null;
 
-                else if (event.type == "audienceDisplayChanged"){
-                    if (event.display == "IN_MATCH"){
-                        fs_state.matchState = "PRESTART";
-                        updateMatchInfo();
-                    }
+    let drift = latest.started - latest.scheduled;
+    let next = conn.schedule.slice(latest.index + 1).find(m => m.state != "SCORED" && timeValue(m.scheduled) != null);
+    if (next) drift = Math.max(drift, Date.now() - timeValue(next.scheduled));
 
-                    // update the state of any "Select Display" actions when the selected audience display changes
-                    fs_state.selectedDisplay = event.display;
+    // the round ends when its last scheduled match does, pushed back by the drift
+    let round_match = conn.currentMatch ? conn.currentMatch : conn.schedule[latest.index];
+    let in_round = conn.schedule.filter(m => m.division == round_match.division && m.round == round_match.round && timeValue(m.scheduled) != null);
+    let round_end = in_round.length > 0 ? timeValue(in_round[in_round.length - 1].scheduled) + drift : null;
+    return {drift: drift, roundEnd: round_end};
+}
 
-                    Object.keys(selectedDisplays).forEach(uuid => {
-                        let this_action_disp = selectedDisplays[uuid];
-                        setState(uuid, (this_action_disp == event.display) ? 0 : 1);
-                    });
-                }
-            });
+/**
+ * Find the field that has been idle the longest since its last match stopped, if it still has matches to play.
+ * @param {Object} conn connection whose fields to check
+ * @returns Object with the field's "name" and how long it's been "idle" (ms), or null if no field is idle
+ */
+function longestIdleField(conn){
+    let longest = null;
+    Object.keys(conn.fieldIdleSince).forEach(id => {
+        let has_matches = !conn.schedule || conn.schedule.some(m => Number(m.fieldID) == Number(id) && m.state != "SCORED" && !conn.startTimes[matchKey(m)]);
+        let idle = Date.now() - conn.fieldIdleSince[id];
+        if (!has_matches || (longest && longest.idle >= idle)) return;
+        let field = conn.fields.find(f => f.id == Number(id));
+        longest = {name: field ? field.name : `Field ${id}`, idle: idle};
+    });
+    return longest;
+}
 
-        }
+/**
+ * Update all visible "schedule status" actions bound to a connection with how far behind schedule it is, the projected
+ * end of the current round, and a warning if a field has been idle too long.
+ * @param {Object} conn connection whose schedule should be shown
+ */
+function updateScheduleStatus(conn){
+    let status = scheduleDrift(conn);
+    let idle_field = longestIdleField(conn);
 
-        // keypress handler
-        // if there's no connection to the server, don't do anything in response to a keypress
-        else if (json.event == "keyDown" && tm_conn_established){
-            // do the right thing based on which action was triggered
-            switch (json.action){
-                case "us.johnholbrook.vextm.queue-next":
-                    tm_fs.queueNextMatch();
-                    break;
-                case "us.johnholbrook.vextm.queue-prev":
-                    tm_fs.queuePreviousMatch();
-                    // tm_fs.send({cmd:"queuePrevMatch"});
-                    break;
-                case "us.johnholbrook.vextm.queue-driving":
-                    tm_fs.queueSkills(FieldsetQueueSkillsType.Driver);
-                    break;
-                case "us.johnholbrook.vextm.queue-prog":
-                    tm_fs.queueSkills(FieldsetQueueSkillsType.Programming);
-                    break;
-                case "us.johnholbrook.vextm.move-match":
-                    // TM.moveMatchToField(skillsFields[json.context]);
-                    break;
-                case "us.johnholbrook.vextm.start-match":
-                    tm_fs.startMatch();
-                    break;
-                case "us.johnholbrook.vextm.end-early":
-                    tm_fs.endMatchEarly();
-                    break;
-                case "us.johnholbrook.vextm.start-end":
-                    // TM.startOrEnd();
-                    break;
-                case "us.johnholbrook.vextm.reset":
-                    tm_fs.resetTimer();
-                    break;
-                case "us.johnholbrook.vextm.select-display":
-                    tm_fs.setAudienceDisplay(selectedDisplays[json.context]);
-                    break;
-            }
-        }
+    actions.forEach(action => {
+        if (action.action != "us.johnholbrook.vextm.schedule-status" || profileFor(action.uuid) != conn.profile.id) return;
+        let settings = scheduleStatusSettings[action.uuid];
+        setTitle(action.uuid, "");
 
-        // when a "select display" key is released, update its state again
-        else if (json.event == "keyUp"){
-            if (json.action == "us.johnholbrook.vextm.select-display"){
-                let this_action_disp = selectedDisplays[json.context]
-                setState(json.context, (this_action_disp == fs_state.selectedDisplay) ? 0 : 1);
-            }
+        let idle_warning = idle_field && idle_field.idle >= settings.idle * 60000;
+        if (!status && !idle_warning){
+            setImage(action.uuid, renderKey(schedule_status_colors.unknown, [{text: "No matches", size: 22}, {text: "started", size: 22}]));
+            return;
         }
 
-        // register a new start/end action when it appears
-        else if (json.event == "willAppear"){
-            actions.push({
-                uuid: json.context,
-                action: json.action
-            });
-            // log(JSON.stringify(actions));
-            if (json.action == "us.johnholbrook.vextm.select-display"){
-                // keep track of which display should be selected when this action is triggered
-                selectedDisplays[json.context] = json.payload.settings.selected_display ? json.payload.settings.selected_display : "INTRO";
-                
-                // Set the title of the action according to the selected display
-                setTitle(json.context, display_id_names[json.payload.settings.selected_display]);
-            }
-            else if (json.action == "us.johnholbrook.vextm.match-info"){
-                // keep track of what info should be shown on this action
-                matchInfoActionPreferences[json.context] = json.payload.settings.selected_info ? json.payload.settings.selected_info : 1;
-                
-                // show the selected info on this action
-                if (tm_conn_established) updateMatchInfo();
+        let lines = [];
+        let color = schedule_status_colors.unknown;
+        if (status){
+            let minutes = Math.round(status.drift / 60000);
+            lines.push({text: minutes == 0 ? "On time" : `${minutes > 0 ? "+" : ""}${minutes} min`, size: 40});
+            if (status.roundEnd){
+                let end = new Date(status.roundEnd).toLocaleTimeString([], {hour: "numeric", minute: "2-digit"});
+                lines.push({text: `Ends ${end}`, size: 20});
             }
+            if (minutes >= settings.late) color = schedule_status_colors.late;
+            else if (minutes >= settings.behind) color = schedule_status_colors.behind;
+            else color = schedule_status_colors.on_time;
         }
+        if (idle_warning){
+            lines.push({text: `${idle_field.name} idle ${Math.floor(idle_field.idle / 60000)}m`, size: 18});
+            color = schedule_status_colors.late;
+        }
+        setImage(action.uuid, renderKey(color, lines));
+    });
+}
 
-        // deregister a start/end action when it disappears
-        else if (json.event == "willDisappear"){
-            actions = removeItem(actions, {
-                uuid: json.context,
-                action: json.action
-            });
-            // log(JSON.stringify(actions));
-            if (json.action == "us.johnholbrook.vextm.select-display"){
-                // stop keeping track of which display should be selected when this action is triggered
-                delete selectedDisplays[json.context];
-                // log(JSON.stringify(selectedDisplays));
-            }
-            else if (["us.johnholbrook.vextm.queue-driving", "us.johnholbrook.vextm.queue-prog", "us.johnholbrook.vextm.move-match"].includes(json.action)){
-                delete skillsFields[json.context];
-            }
-            else if (json.action == "us.johnholbrook.vextm.match-info"){
-                delete matchInfoActionPreferences[json.context];
-            }
+/**
+ * Keep "schedule status" actions up to date between events, stopping once none are visible.
+ */
+function startScheduleStatusTimer(){
+    if (scheduleStatusTimer) return;
+    scheduleStatusTimer = setInterval(() => {
+        if (!actions.some(action => action.action == "us.johnholbrook.vextm.schedule-status")){
+            clearInterval(scheduleStatusTimer);
+            scheduleStatusTimer = null;
+            return;
         }
+        Object.values(connections).forEach(conn => {
+            if (conn.established) updateScheduleStatus(conn);
+        });
+    }, schedule_status_interval_ms);
+}
 
-        else if (json.event == "didReceiveSettings"){
-            // update the display to be selected when this action is triggered
-            if (json.action == "us.johnholbrook.vextm.select-display"){
-                // keep track of which display should be selected when this action is triggered
-                selectedDisplays[json.context] = json.payload.settings.selected_display;
+/**
+ * Read the settings of a "schedule status" action.
+ * @param {Object} settings the action's settings
+ * @returns Object with the number of minutes behind schedule to count as "behind" and "late", and how long a field can be "idle" (min)
+ */
+function readScheduleStatusSettings(settings){
+    return {
+        behind: settings.behind_minutes != null ? Number(settings.behind_minutes) : 10,
+        late: settings.late_minutes != null ? Number(settings.late_minutes) : 20,
+        idle: settings.idle_minutes != null ? Number(settings.idle_minutes) : 5
+    };
+}
 
-                // Set the title of the action according to the selected display
-                setTitle(json.context, display_id_names[json.payload.settings.selected_display]);
-            }
+/**
+ * Fetch the qualification rankings and skills rankings from TM, for "team stats" actions bound to a connection.
+ * Nothing is fetched if no "team stats" actions use the connection.
+ * @param {Object} conn connection to fetch the stats on
+ */
+async function refreshTeamStats(conn){
+    if (!actions.some(action => action.action == "us.johnholbrook.vextm.team-stats" && profileFor(action.uuid) == conn.profile.id)) return;
 
-            // update the info to be shown on this "match info" action
-            else if (json.action == "us.johnholbrook.vextm.match-info"){
-                // keep track of what info should be shown on this action
-                matchInfoActionPreferences[json.context] = json.payload.settings.selected_info;
+    let client = conn.client;
+    let rankings = {};
+    let divisions = await client.getDivisions();
+    if (divisions.success){
+        for (let division of divisions.data){
+            let result = await division.getRankings(MatchRound.Qualification);
+            if (result.success) result.data.forEach(r => rankings[teamNumber(r.team)] = r);
+        }
+    }
 
-                // show the selected info on this action
-                if (tm_conn_established) updateMatchInfo();
+    let skills = {};
+    let result = await client.getSkills();
+    if (result.success) result.data.forEach(r => skills[teamNumber(r.team)] = r);
+
+    if (client != conn.client) return; // reconnected while we were waiting, so these stats may be stale
+    conn.teamStats = {rankings: rankings, skills: skills};
+    updateTeamStats(conn);
+}
+
+/**
+ * Fetch the team stats in the background, logging any errors.
+ * @param {Object} conn connection to fetch the stats on
+ */
+function requestTeamStats(conn){
+    refreshTeamStats(conn).catch(err => {
+        log(`[${conn.profile.name}] Failed to get team stats: ${err}`);
+    });
+}
+
+/**
+ * Update all visible "team stats" actions bound to a connection with the rank, W-L-T record and skills score of their team.
+ * @param {Object} conn connection whose stats should be shown
+ */
+function updateTeamStats(conn){
+    actions.forEach(action => {
+        if (action.action != "us.johnholbrook.vextm.team-stats" || profileFor(action.uuid) != conn.profile.id) return;
+
+        // work out which team to show, which may be one of the teams in the queued match
+        let setting = teamStatsSettings[action.uuid];
+        let team = null;
+        if (setting.source == "team") team = setting.team;
+        else {
+            let alliance = (setting.source.startsWith("red")) ? conn.fs_state.redTeams : conn.fs_state.blueTeams;
+            team = alliance[Number(setting.source.slice(-1)) - 1];
+        }
+        if (!team){
+            setTitle(action.uuid, "");
+            setImage(action.uuid, renderKey(team_stats_color, [{text: "No team", size: 24}]));
+            return;
+        }
+
+        let lines = [{text: team, size: 36}];
+        let ranking = conn.teamStats ? conn.teamStats.rankings[team] : null;
+        let skills = conn.teamStats ? conn.teamStats.skills[team] : null;
+        lines.push({text: ranking ? `#${ranking.rank} ${ranking.wins}-${ranking.losses}-${ranking.ties}` : "Unranked", size: 22});
+        if (skills) lines.push({text: `Skills ${skills.totalScore}`, size: 22});
+        setTitle(action.uuid, "");
+        setImage(action.uuid, renderKey(team_stats_color, lines));
+    });
+}
+
+/**
+ * Send one of the field set commands that can be used in a macro.
+ * @param {Object} tm_fs field set to send the command to
+ * @param {Object} step object with the name of the command ("cmd") and any parameters it needs
+ */
+async function runCommand(tm_fs, step){
+    switch (step.cmd){
+        case "queueNextMatch":
+            return tm_fs.queueNextMatch();
+        case "queuePreviousMatch":
+            return tm_fs.queuePreviousMatch();
+        case "queueDrivingSkills":
+            return tm_fs.queueSkills(FieldsetQueueSkillsType.Driver);
+        case "queueProgrammingSkills":
+            return tm_fs.queueSkills(FieldsetQueueSkillsType.Programming);
+        case "startMatch":
+            return tm_fs.startMatch();
+        case "endMatchEarly":
+            return tm_fs.endMatchEarly();
+        case "resetTimer":
+            return tm_fs.resetTimer();
+        case "setAudienceDisplay":
+            return tm_fs.setAudienceDisplay(step.display ? step.display : "INTRO");
+        default:
+            throw new Error(`Unknown command "${step.cmd}"`);
+    }
+}
+
+/**
+ * Describe a macro step in a few words, to show on the key while it runs.
+ * @param {Object} step the macro step
+ * @returns String
+ */
+function describeStep(step){
+    if (step.cmd == "setAudienceDisplay") return display_id_names[step.display] ? display_id_names[step.display] : "Display";
+    else return macro_step_names[step.cmd] ? macro_step_names[step.cmd] : step.cmd;
+}
+
+/**
+ * Run the steps of a "macro" action in order, showing progress on the key.
+ * Stops early if the key is pressed again, or if the connection to TM drops (even if it comes back before the macro finishes).
+ * @param {String} context UUID of the macro action
+ * @param {Object} conn connection to send the commands on
+ */
+async function runMacro(context, conn){
+    let steps = macroSteps[context] ? macroSteps[context] : [];
+    if (steps.length == 0){
+        showAlert(context);
+        return;
+    }
+
+    let run = {cancelled: false};
+    runningMacros[context] = run;
+    let tm_fs = conn.fs;
+    let aborted = () => run.cancelled || !conn.established || conn.fs != tm_fs;
+
+    let completed = true;
+    for (let i=0; i<steps.length; i++){
+        if (aborted()){
+            completed = false;
+            break;
+        }
+        let step = steps[i];
+        let progress = `${i+1}/${steps.length}`;
+        if (step.cmd == "wait"){
+            // wait in one-second increments so the countdown is shown and an abort is noticed quickly
+            for (let t = Math.ceil(Number(step.seconds)); t > 0 && !aborted(); t--){
+                setTitle(context, `${progress}\nWait\n${t}s`);
+                await delay(1000);
+            }
+        }
+        else {
+            setTitle(context, `${progress}\n${describeStep(step)}`);
+            try {
+                await runCommand(tm_fs, step);
+            }
+            catch (err){
+                log(`Macro step ${progress} (${step.cmd}) failed: ${err}`);
+                completed = false;
+                break;
+            }
+        }
+    }
+    if (aborted()) completed = false;
+
+    delete runningMacros[context];
+    setTitle(context);
+    if (completed) showOk(context);
+    else showAlert(context);
+}
+
+/**
+ * Start rotating through the displays of a "display rotation" action, paused if a match is in progress.
+ * @param {String} context UUID of the display rotation action
+ * @param {Object} conn connection whose audience display should be rotated
+ */
+function startRotation(context, conn){
+    let displays = rotationSettings[context] ? rotationSettings[context].displays : [];
+    if (displays.length == 0){
+        showAlert(context);
+        setState(context, 0);
+        return;
+    }
+    runningRotations[context] = {index: 0, timer: null, paused: false};
+    setState(context, 1);
+    if (isMatchRunning(conn.fs_state) || conn.fs_state.selectedDisplay == "IN_MATCH") pauseRotation(context);
+    else showNextDisplay(context);
+}
+
+/**
+ * Stop rotating through the displays of a "display rotation" action.
+ * @param {String} context UUID of the display rotation action
+ */
+function stopRotation(context){
+    let run = runningRotations[context];
+    if (!run) return;
+    clearTimeout(run.timer);
+    delete runningRotations[context];
+    setState(context, 0);
+    setTitle(context);
+}
+
+/**
+ * Show the next display in a rotation, and wait for its dwell time before showing the one after that.
+ * If the connection is down, the display is skipped but the rotation carries on.
+ * @param {String} context UUID of the display rotation action
+ */
+function showNextDisplay(context){
+    let run = runningRotations[context];
+    let displays = rotationSettings[context] ? rotationSettings[context].displays : [];
+    if (!run || run.paused || displays.length == 0) return;
+
+    let entry = displays[run.index % displays.length];
+    run.index = (run.index + 1) % displays.length;
+    let conn = connectionFor(context);
+    if (conn && conn.established) conn.fs.setAudienceDisplay(entry.display);
+    setTitle(context, display_id_names[entry.display]);
+    run.timer = setTimeout(() => showNextDisplay(context), Math.max(1, Number(entry.seconds)) * 1000);
+}
+
+/**
+ * Pause a running "display rotation" action (e.g. because a match is starting), leaving the current display up.
+ * @param {String} context UUID of the display rotation action
+ */
+function pauseRotation(context){
+    let run = runningRotations[context];
+    if (!run) return;
+    clearTimeout(run.timer);
+    run.paused = true;
+    setTitle(context, "Paused");
+}
+
+/**
+ * Pause or resume every running "display rotation" action on a connection when a match is about to start, starts or stops.
+ * Rotations resume (with the next display) after their resume delay once the match has stopped.
+ * @param {Object} conn connection the match is on
+ * @param {Boolean} paused true to pause, false to resume
+ */
+function setRotationsPaused(conn, paused){
+    Object.keys(runningRotations).forEach(context => {
+        if (connectionFor(context) != conn) return;
+        if (paused) pauseRotation(context);
+        else if (runningRotations[context].paused){
+            let run = runningRotations[context];
+            clearTimeout(run.timer);
+            let resume_delay = rotationSettings[context] ? Number(rotationSettings[context].resume_delay) : 0;
+            run.timer = setTimeout(() => {
+                run.paused = false;
+                showNextDisplay(context);
+            }, Math.max(0, resume_delay) * 1000);
+        }
+    });
+}
+
+/**
+ * Read the settings of a "display rotation" action.
+ * @param {Object} settings the action's settings
+ * @returns Object with the list of displays (each with a display ID and a dwell time in seconds) and the resume delay (s)
+ */
+function readRotationSettings(settings){
+    return {
+        displays: Array.isArray(settings.displays) ? settings.displays.filter(d => display_id_names[d.display]) : [],
+        resume_delay: settings.resume_delay != null ? Number(settings.resume_delay) : 10
+    };
+}
+
+/**
+ * Construct a "short name" for the specified match to be shown on "match info" actions
+ * @param {Object} match object representing the match sent by TM server
+ * @returns String
+ */
+function buildMatchName(match){
+    if (single_number_rounds.includes(match.round)) return `${roundShortName(match.round)} ${match.match}`;
+    else return `${roundShortName(match.round)} ${match.instance}-${match.match}`;
+}
+
+/**
+ * Get the short name of a round: the user's name for it if they've given one, otherwise the built-in one (or the round's ID, if there isn't one).
+ * @param {String} round ID of the round sent by TM (e.g. "QUAL")
+ * @returns String
+ */
+function roundShortName(round){
+    if (roundNames[round]) return roundNames[round];
+    else return round_short_names[round] ? round_short_names[round] : round;
+}
+
+/**
+ * Get the values of the placeholders that can be used in title templates: every field of the field set's state, plus
+ * shorter names for the common ones, the parts of the match name, and each team in the match.
+ * @param {Object} conn connection whose state should be used
+ * @returns Object mapping placeholder names to values
+ */
+function templateValues(conn){
+    let fs_state = conn.fs_state;
+    let match = conn.currentMatch;
+    let values = Object.assign({}, fs_state, {
+        redTeams: fs_state.redTeams.join(" "),
+        blueTeams: fs_state.blueTeams.join(" "),
+        selectedDisplay: display_id_names[fs_state.selectedDisplay] ? display_id_names[fs_state.selectedDisplay].replace(/\n/g, " ") : fs_state.selectedDisplay,
+        round: match ? roundShortName(match.round) : null,
+        instance: match ? match.instance : null,
+        match: match ? match.match : null,
+        field: fs_state.currentField,
+        state: fs_state.matchState,
+        time: formatTime(fs_state.timeRemaining),
+        red: fs_state.redTeams.join(" "),
+        blue: fs_state.blueTeams.join(" ")
+    });
+    values.display = values.selectedDisplay;
+    for (let i=0; i<3; i++){
+        values[`red${i+1}`] = fs_state.redTeams[i];
+        values[`blue${i+1}`] = fs_state.blueTeams[i];
+    }
+    return values;
+}
+
+/**
+ * Fill in a title template: each {placeholder} is replaced by its value (or nothing, if it doesn't have one yet) and each \n starts a new line.
+ * Unknown placeholders are left as they are, so mistakes show up on the key.
+ * @param {String} template the template (e.g. "{round} {match} \u2022 {field}\n{state}")
+ * @param {Object} values object mapping placeholder names to values
+ * @returns String
+ */
+function fillTemplate(template, values){
+    return template.replace(/\\n/g, "\n").replace(/\{(\w+)\}/g, (placeholder, name) => {
+        if (!(name in values)) return placeholder;
+        return values[name] != null ? String(values[name]) : "";
+    });
+}
+
+/**
+ * Get the title of a "select display" action: the name of its display, or its title template filled in.
+ * @param {String} context UUID of the action
+ * @param {Object} conn connection the action is bound to (or undefined if it isn't connected)
+ * @returns String
+ */
+function selectDisplayTitle(context, conn){
+    let display = selectedDisplays[context];
+    if (!titleTemplates[context]) return display_id_names[display];
+    // on "select display" actions, {display} is the display the action selects, rather than the one being shown
+    let values = conn ? templateValues(conn) : {};
+    values.display = display_id_names[display] ? display_id_names[display].replace(/\n/g, " ") : display;
+    return fillTemplate(titleTemplates[context], values);
+}
+
+/**
+ * Update the title of all visible "select display" actions bound to a connection that use a title template,
+ * if the filled-in template has changed.
+ * @param {Object} conn connection whose state should be shown
+ */
+function updateDisplayTitles(conn){
+    Object.keys(titleTemplates).forEach(uuid => {
+        if (profileFor(uuid) != conn.profile.id) return;
+        let title = selectDisplayTitle(uuid, conn);
+        if (title == templateTitles[uuid]) return;
+        templateTitles[uuid] = title;
+        setTitle(uuid, title);
+    });
+}
+
+/**
+ * Build the list of connection profiles from the plugin's global settings.
+ * Settings saved before profiles existed (a single address/key/field set) become one profile called "Default".
+ * @param {Object} settings global settings sent by the stream deck software
+ * @returns Array of profile objects
+ */
+function readProfiles(settings){
+    if (Array.isArray(settings.profiles) && settings.profiles.length > 0){
+        return settings.profiles.filter(p => p && p.id);
+    }
+    else if (settings.tm_key){
+        return [{
+            id: default_profile_id,
+            name: "Default",
+            address: settings.address,
+            tm_key: settings.tm_key,
+            fieldset: settings.fieldset
+        }];
+    }
+    else return [];
+}
+
+/**
+ * Determine which connection profile an action is bound to.
+ * Actions with no profile selected (or whose profile was deleted) use the first profile.
+ * @param {String} context UUID of the action
+ * @returns String ID of the profile, or null if no profiles are configured
+ */
+function profileFor(context){
+    let id = actionProfiles[context];
+    if (id && profiles.find(p => p.id == id)) return id;
+    else return profiles.length > 0 ? profiles[0].id : null;
+}
+
+/**
+ * Get the connection for the profile an action is bound to.
+ * @param {String} context UUID of the action
+ * @returns Object representing the connection, or undefined if that profile is not connected
+ */
+function connectionFor(context){
+    return connections[profileFor(context)];
+}
+
+/**
+ * Start connecting to the TM server and field set described by a connection profile.
+ * If the connection fails (or is lost later on) it will be retried automatically.
+ * @param {Object} profile profile to connect with
+ */
+function connectProfile(profile){
+    let conn = {
+        profile: profile,
+        client: null, // object representing connection to the TM server
+        fs: null, // object representing the field set
+        fs_conn: null, // object representing websocket connection to the field set
+        established: false, // are we connected to tournament manager?
+        status: null, // code and message describing the state of the connection, shown in the property inspector
+        retryDelay: reconnect_delay_min, // how long to wait before the next reconnection attempt (ms)
+        retryTimer: null, // timer for the next reconnection attempt
+        startEndLockedUntil: 0, // time (ms) until which "start/end" actions ignore presses
+        fieldsets: [], // list of field sets on the TM server
+        fields: null, // list of fields in the selected field set
+        currentMatch: null, // the match most recently assigned to a field, as sent by TM
+        fieldMatches: {}, // object containing the match most recently assigned to each field, keyed by field ID
+        startTimes: {}, // object containing the time (ms) each match was seen to start, keyed by matchKey()
+        fieldIdleSince: {}, // object containing the time (ms) the last match on each field stopped, keyed by field ID (removed when the next one starts)
+        teamStats: null, // qualification and skills rankings, each mapping team numbers to their entry
+        schedule: null, // list of matches scheduled on this field set's fields, in order
+        period: null, // index (into the match's timing) of the current or most recent period of the match
+        periodEnd: null, // time (ms) at which the current period ends
+        clockTimer: null, // timer that updates the match clock every second
+        publishedState: null, // status and field set state most recently sent to tools connected to the bridge (as JSON)
+        fs_state: { // object representing the current state of the field set
+            selectedDisplay : null,
+            currentMatchName: null,
+            matchState: null, // "PRESTART", "AUTONOMOUS", "PAUSE", "DRIVER", "RUNNING" (skills) or "STOPPED"
+            currentField: null,
+            activeFieldID: null,
+            redTeams: [], // numbers of the teams on the red alliance of the current match
+            blueTeams: [], // numbers of the teams on the blue alliance of the current match
+            timeRemaining: null // seconds left in the current period, or null if no period is in progress
+        }
+    };
+    connections[profile.id] = conn;
+    setStatus(conn, "connecting", "Connecting...");
+    tryConnection(conn);
+}
+
+/**
+ * Make one attempt to connect, scheduling another attempt if it fails.
+ * @param {Object} conn connection to (re)establish
+ */
+function tryConnection(conn){
+    attemptConnection(conn).catch(err => {
+        if (connections[conn.profile.id] != conn) return;
+        log(`[${conn.profile.name}] Error connecting to TM: ${err}`);
+        setStatus(conn, "not_connected", `Not connected: ${err}`);
+        scheduleReconnect(conn);
+    });
+}
+
+/**
+ * Connect to the TM server, look up the field set and its fields, and open the field set's websocket.
+ * @param {Object} conn connection to establish
+ */
+async function attemptConnection(conn){
+    let profile = conn.profile;
+
+    // try to connect to tournament manager (or the built-in simulator, for practice without a TM server)
+    if (profile.simulator){
+        conn.client = new SimulatedClient({
+            periods: profileTiming(profile).map(p => p.length)
+        });
+    }
+    else {
+        // don't bother trying with credentials that are missing or known to have expired
+        if (credentials.problem){
+            log(`[${profile.name}] ${credentials.problem}`);
+            setStatus(conn, "auth_failed", credentials.problem);
+            return;
+        }
+        conn.client = new Client({
+            address: `http://${profile.address ? profile.address : "localhost"}`,
+            authorization: {
+            client_id: credentials.client_id,
+            client_secret: credentials.client_secret,
+            grant_type: "client_credentials",
+            expiration_date: credentials.expiration_date,
+            },
+            clientAPIKey: profile.tm_key
+        });
+    }
+
+    let conn_result;
+    try {
+        conn_result = await conn.client.connect();
+    }
+    catch (err){
+        conn_result = {success: false, error: err};
+    }
+    if (connections[profile.id] != conn) return; // profile was disconnected while we were waiting
+    if (!conn_result.success){
+        let failure = connectFailure(conn_result.error, profile);
+        log(`[${profile.name}] Failed to connect to TM: ${failure.message} (${JSON.stringify(conn_result.error)})`);
+        setStatus(conn, failure.code, failure.message);
+        scheduleReconnect(conn);
+        return;
+    }
+
+    // connect to speficied field set
+    let fieldsets = await conn.client.getFieldsets();
+    if (connections[profile.id] != conn) return;
+    if (!fieldsets.success){
+        log(`[${profile.name}] TM rejected the API key`);
+        setStatus(conn, "bad_key", "Bad API key: TM rejected the key for this profile");
+        scheduleReconnect(conn);
+        return;
+    }
+    conn.fieldsets = fieldsets.data.map(s => ({id: s.id, name: s.name}));
+    // the simulator only has one field set, so simulator profiles always use it whatever field set they name
+    let tm_fs = profile.simulator ? fieldsets.data[0] : fieldsets.data.find(s => s.id == Number(profile.fieldset));
+    if (!tm_fs){
+        log(`[${profile.name}] Field set ${profile.fieldset} not found`);
+        setStatus(conn, "fieldset_not_found", `Field set ${profile.fieldset} not found, choose one of the field sets below`);
+        scheduleReconnect(conn);
+        return;
+    }
+
+    // get list of fields in this set
+    let fields = (await tm_fs.getFields()).data;
+    fields.push({id:0, name:""});
+    log(`[${profile.name}] ${JSON.stringify(fields)}`);
+
+    let tm_fs_conn = await tm_fs.connect();
+    if (connections[profile.id] != conn){
+        tm_fs_conn.disconnect();
+        return;
+    }
+    conn.fs = tm_fs;
+    conn.fs_conn = tm_fs_conn;
+    conn.fields = fields;
+
+    tm_fs.on("message", event => { // handler for messages from TM
+        if (conn.fs != tm_fs) return;
+        audit.record({type: "event", profile: profile.id, event: event});
+        bridge.broadcast({type: "event", profile: profile.id, event: event});
+        handleFieldsetMessage(conn, event);
+        applyObsRules(conn, event);
+        publishState(conn);
+    });
+
+    // if the field set's websocket closes (e.g. TM restarted or the network dropped), start over
+    tm_fs.on("close", () => {
+        if (connections[profile.id] != conn || conn.fs != tm_fs) return;
+        log(`[${profile.name}] Lost connection to field set`);
+        stopClock(conn);
+        conn.established = false;
+        conn.fs = null;
+        conn.fs_conn = null;
+        setStatus(conn, "not_connected", "Lost connection to TM");
+        scheduleReconnect(conn);
+    });
+
+    log(`[${profile.name}] Connected to TM!`);
+    conn.established = true;
+    conn.retryDelay = reconnect_delay_min;
+    setStatus(conn, "connected", `Connected to ${tm_fs.name}`);
+    updateMatchInfo(conn);
+    updateStartEndActions(conn);
+    updateFieldActions(conn);
+    updateDisplayDials(conn);
+    requestTeamStats(conn);
+    requestSchedule(conn);
+}
+
+/**
+ * Work out why the TM client failed to connect, from the error it gave back.
+ * The client first gets a token from the DWAB authorization server using the client credentials, then uses it (with the
+ * profile's API key) to talk to TM, so a failure is either an authorization problem, a bad API key or a server that can't be reached.
+ * @param {Object} error the error returned or thrown by the client
+ * @param {Object} profile the connection profile
+ * @returns Object with a status code ("auth_failed", "bad_key" or "not_connected") and a message
+ */
+function connectFailure(error, profile){
+    let address = profile.address ? profile.address : "localhost";
+    let code = error ? (error.code ? error.code : (error.cause ? error.cause.code : null)) : null;
+    let status = error ? (error.status ? error.status : (error.response ? error.response.status : null)) : null;
+    let oauth_error = error ? (error.error ? error.error : (error.data ? error.data.error : null)) : null;
+    let text = (error && error.message) ? error.message : JSON.stringify(error);
+    text = text ? text : "";
+
+    // check for network errors first, since nothing else can be known about a server that was never reached
+    if (network_error_codes.includes(code) || text.includes("fetch failed")){
+        return {code: "not_connected", message: `Not connected: couldn't reach TM at ${address}`};
+    }
+    else if (oauth_error_codes.includes(oauth_error) || oauth_error_codes.some(c => text.includes(c))){
+        return {code: "auth_failed", message: "Authorization failed: the client credentials were rejected (check them under API Credentials)"};
+    }
+    else if (status == 401 || status == 403){
+        return {code: "bad_key", message: "Bad API key: TM rejected the key for this profile"};
+    }
+    else return {code: "not_connected", message: `Not connected: TM at ${address} didn't accept the connection`};
+}
+
+/**
+ * Work out which client credentials to use (the ones entered in the property inspector, if any, otherwise the ones bundled
+ * with the plugin) and whether they have expired or are about to.
+ * @param {Object} settings credentials from the property inspector, with "client_id", "client_secret" and "expiration_date" properties (or undefined)
+ * @returns Object with the credentials, their source ("custom" or "bundled"), and a "problem" (if they can't be used) or "warning" (if they expire soon)
+ */
+function readCredentials(settings){
+    let custom = settings && settings.client_id && settings.client_secret;
+    let creds = {
+        source: custom ? "custom" : "bundled",
+        client_id: custom ? settings.client_id : bundled_auth.client_id,
+        client_secret: custom ? settings.client_secret : bundled_auth.client_secret,
+        expiration_date: custom ? settings.expiration_date : bundled_auth.expiration_date,
+        problem: null,
+        warning: null
+    };
+
+    let expires = creds.expiration_date ? new Date(creds.expiration_date) : null;
+    let days_left = (expires && !isNaN(expires)) ? Math.floor((expires - Date.now()) / (24 * 60 * 60 * 1000)) : null;
+    if (!creds.client_id || !creds.client_secret){
+        creds.problem = "No client credentials: enter them under API Credentials";
+    }
+    else if (days_left != null && days_left < 0){
+        creds.problem = `The ${creds.source} client credentials expired on ${expires.toDateString()}: enter new ones under API Credentials`;
+    }
+    else if (days_left != null && days_left <= credential_warning_days){
+        creds.warning = `The ${creds.source} client credentials expire on ${expires.toDateString()} (${days_left} day${days_left == 1 ? "" : "s"} from now)`;
+    }
+    return creds;
+}
+
+/**
+ * Show an alert on a key if the client credentials have expired or expire soon, so the problem is noticed before the event.
+ * Keys using the simulator don't need credentials, so they aren't warned.
+ * @param {String} context UUID of the action
+ */
+function warnCredentials(context){
+    let profile = profiles.find(p => p.id == profileFor(context));
+    if (profile && !profile.simulator && (credentials.problem || credentials.warning)) showAlert(context);
+}
+
+/**
+ * Try connecting again after a delay, doubling the delay (up to a limit) each time.
+ * @param {Object} conn connection to re-establish
+ */
+function scheduleReconnect(conn){
+    if (connections[conn.profile.id] != conn || conn.retryTimer) return;
+
+    let seconds = Math.round(conn.retryDelay / 1000);
+    log(`[${conn.profile.name}] Reconnecting in ${seconds}s`);
+    setStatus(conn, conn.status.code, `${conn.status.message} (retrying in ${seconds}s)`);
+
+    conn.retryTimer = setTimeout(() => {
+        conn.retryTimer = null;
+        tryConnection(conn);
+    }, conn.retryDelay);
+    conn.retryDelay = Math.min(conn.retryDelay * 2, reconnect_delay_max);
+}
+
+/**
+ * Handle an event sent by TM on a field set's websocket.
+ * @param {Object} conn connection the event was recieved on
+ * @param {Object} event the event sent by TM
+ */
+function handleFieldsetMessage(conn, event){
+    let fs_state = conn.fs_state;
+
+    if (event.type == "fieldMatchAssigned"){
+        fs_state.currentField = conn.fields.find(f => f.id == Number(event.fieldID)).name;
+        let match = event.match;
+        conn.currentMatch = match;
+        fs_state.currentMatchName = buildMatchName(match);
+        fs_state.redTeams = allianceTeams(match, "RED");
+        fs_state.blueTeams = allianceTeams(match, "BLUE");
+
+        // a match can only be on one field, so if it was moved, it's no longer on the field it came from
+        Object.keys(conn.fieldMatches).forEach(id => {
+            if (sameMatch(conn.fieldMatches[id], match)) delete conn.fieldMatches[id];
+        });
+        conn.fieldMatches[Number(event.fieldID)] = match;
+        updateMatchInfo(conn);
+        updateFieldActions(conn);
+        updateTeamStats(conn);
+        requestSchedule(conn);
+    }
+
+    else if (event.type == "fieldActivated"){
+        fs_state.currentField = conn.fields.find(f => f.id == Number(event.fieldID)).name;
+        fs_state.activeFieldID = Number(event.fieldID);
+        updateMatchInfo(conn);
+        updateFieldActions(conn);
+    }
+
+    else if (event.type == "matchStarted"){
+        // starting again after the pause begins the next period, otherwise it's the start of a new match
+        let timing = matchTiming(conn);
+        let period = (fs_state.matchState == "PAUSE" && conn.period + 1 < timing.length) ? conn.period + 1 : 0;
+        startClock(conn, period);
+
+        // note when each match starts (not each period), and that its field is no longer idle
+        let field_id = event.fieldID != null ? Number(event.fieldID) : fs_state.activeFieldID;
+        if (period == 0 && conn.currentMatch) conn.startTimes[matchKey(conn.currentMatch)] = Date.now();
+        delete conn.fieldIdleSince[field_id];
+        updateScheduleStatus(conn);
+        conn.startEndLockedUntil = Date.now() + start_end_guard_ms;
+        updateMatchInfo(conn);
+        updateStartEndActions(conn);
+        updateFieldActions(conn);
+        setRotationsPaused(conn, true);
+    }
+
+    else if (event.type == "matchStopped"){
+        // a period that ran to the end of its time with another period to follow is a pause, anything else is the end of the match
+        let timing = matchTiming(conn);
+        let finished = conn.periodEnd != null && conn.periodEnd - Date.now() <= period_end_tolerance_ms;
+        stopClock(conn);
+        fs_state.matchState = (finished && conn.period + 1 < timing.length) ? "PAUSE" : "STOPPED";
+        conn.startEndLockedUntil = Date.now() + start_end_guard_ms;
+        updateMatchInfo(conn);
+        updateStartEndActions(conn);
+        updateFieldActions(conn);
+        requestTeamStats(conn);
+        if (fs_state.matchState == "STOPPED"){
+            conn.periodEnd = null;
+            conn.fieldIdleSince[event.fieldID != null ? Number(event.fieldID) : fs_state.activeFieldID] = Date.now();
+            requestSchedule(conn);
+            setRotationsPaused(conn, false);
+        }
+    }
+
+    else if (event.type == "audienceDisplayChanged"){
+        if (event.display == "IN_MATCH"){
+            fs_state.matchState = "PRESTART";
+            updateMatchInfo(conn);
+            updateFieldActions(conn);
+            setRotationsPaused(conn, true);
+        }
+
+        // update the state of any "Select Display" actions when the selected audience display changes
+        fs_state.selectedDisplay = event.display;
+        updateSelectedDisplays(conn);
+        updateDisplayDials(conn);
+    }
+}
+
+/**
+ * Get the periods of the match currently on a field set, based on the match timing chosen for the connection profile.
+ * @param {Object} conn connection to get the timing for
+ * @returns Array of objects with the name and length (s) of each period
+ */
+function matchTiming(conn){
+    if (conn.currentMatch && conn.currentMatch.round == "SKILLS") return skills_timing;
+    return profileTiming(conn.profile);
+}
+
+/**
+ * Get the periods of a (non-skills) match for the match timing chosen in a connection profile.
+ * @param {Object} profile the connection profile
+ * @returns Array of objects with the name and length (s) of each period
+ */
+function profileTiming(profile){
+    return match_timings[profile.timing] ? match_timings[profile.timing] : match_timings["V5RC"];
+}
+
+/**
+ * Start the match clock for a period of the current match, updating "match info" actions every second.
+ * @param {Object} conn connection whose match is starting a period
+ * @param {Number} period index of the period that's starting
+ */
+function startClock(conn, period){
+    let timing = matchTiming(conn)[period];
+    stopClock(conn);
+    conn.period = period;
+    conn.periodEnd = Date.now() + timing.length * 1000;
+    conn.fs_state.matchState = timing.period;
+    conn.fs_state.timeRemaining = timing.length;
+    conn.clockTimer = setInterval(() => tickClock(conn), 1000);
+}
+
+/**
+ * Update the time remaining in the current period. If the period's time runs out before TM says the match stopped,
+ * go to the pause (if there's another period) and stop counting.
+ * @param {Object} conn connection whose match clock should be updated
+ */
+function tickClock(conn){
+    let remaining = Math.max(0, Math.ceil((conn.periodEnd - Date.now()) / 1000));
+    conn.fs_state.timeRemaining = remaining;
+    if (remaining == 0){
+        stopClock(conn);
+        if (conn.period + 1 < matchTiming(conn).length){
+            conn.fs_state.matchState = "PAUSE";
+            updateStartEndActions(conn);
+            updateFieldActions(conn);
+        }
+    }
+    updateMatchInfo(conn);
+    publishState(conn);
+}
+
+/**
+ * Stop updating the match clock.
+ * @param {Object} conn connection whose match clock should be stopped
+ */
+function stopClock(conn){
+    clearInterval(conn.clockTimer);
+    conn.clockTimer = null;
+    conn.fs_state.timeRemaining = null;
+}
+
+/**
+ * Update the status of a connection and show it in the property inspector, if one is open for an action using that connection.
+ * @param {Object} conn connection to update
+ * @param {String} code one of "connecting", "connected", "not_connected" (server unreachable), "auth_failed", "bad_key" or "fieldset_not_found"
+ * @param {String} message human-readable description of the status
+ */
+function setStatus(conn, code, message){
+    conn.status = {code: code, message: message};
+    audit.record({type: "connection", profile: conn.profile.id, status: code, message: message});
+    if (piContext && connectionFor(piContext) == conn) sendConnectionInfo(piContext);
+    updateConnectionIndicators();
+    publishState(conn);
+}
+
+/**
+ * Send the status and field set state of a connection to tools connected to the bridge, if either has changed since it was last sent.
+ * @param {Object} conn connection whose state to send
+ */
+function publishState(conn){
+    let state = JSON.stringify({status: conn.status, fs_state: conn.fs_state});
+    if (state == conn.publishedState) return;
+    conn.publishedState = state;
+    bridge.broadcast({type: "state", profile: conn.profile.id, status: conn.status, fs_state: conn.fs_state});
+}
+
+/**
+ * Get the status and field set state of every connection profile, for the bridge.
+ * @returns Array of objects with the ID, name, status and field set state of each profile
+ */
+function bridgeState(){
+    return profiles.map(profile => {
+        let conn = connections[profile.id];
+        return {
+            profile: profile.id,
+            name: profile.name,
+            status: conn ? conn.status : {code: "not_connected", message: "Not connected: no keys use this profile"},
+            fs_state: conn ? conn.fs_state : null
+        };
+    });
+}
+
+/**
+ * Send a command recieved by the bridge to TM.
+ * @param {Object} step object with the name of the command ("cmd"), the ID of the profile to send it on ("profile", the first profile if not given) and any parameters it needs
+ * @returns Promise, rejected with an error with an HTTP "status" code if the command can't be sent
+ */
+async function runBridgeCommand(step){
+    let bridgeError = (status, message) => Object.assign(new Error(message), {status: status});
+    if (!step || (!macro_step_names[step.cmd] && step.cmd != "setAudienceDisplay")) throw bridgeError(400, `Unknown command "${step ? step.cmd : ""}"`);
+    if (step.cmd == "setAudienceDisplay" && !display_id_names[step.display]) throw bridgeError(400, `Unknown display "${step.display}"`);
+
+    let profile = step.profile ? profiles.find(p => p.id == step.profile) : profiles[0];
+    if (!profile) throw bridgeError(404, `Unknown profile "${step.profile}"`);
+    let conn = connections[profile.id];
+    let connected = conn && conn.established;
+    let refused = connected && bridge_protected_commands.includes(step.cmd) && isMatchLive(conn.fs_state);
+    audit.record({type: "command", event: "bridge", profile: profile.id, command: step, sent: (connected && !refused) ? true : false});
+    if (!connected) throw bridgeError(503, `Profile "${profile.name}" is not connected to TM`);
+    if (refused) throw bridgeError(409, `"${step.cmd}" can't be sent while a match is running on "${profile.name}"`);
+    return runCommand(conn.fs, step);
+}
+
+/**
+ * Send the status of the connection used by an action, along with the field sets and fields discovered on it, to that action's property inspector.
+ * @param {String} context UUID of the action
+ */
+function sendConnectionInfo(context){
+    let conn = connectionFor(context);
+    sendToPropertyInspector(context, {
+        "event": "connectionInfo",
+        "profile": profileFor(context),
+        "status": conn ? conn.status : {code: "not_connected", message: "Not connected: set an API key for this profile"},
+        "fieldsets": conn ? conn.fieldsets : [],
+        "fields": (conn && conn.fields) ? conn.fields.filter(f => f.id != 0).map(f => ({id: f.id, name: f.name})) : [],
+        "obsStatus": obs.getStatus(),
+        "credentials": credentials ? {
+            source: credentials.source,
+            message: credentials.problem ? credentials.problem : credentials.warning
+        } : null
+    });
+}
+
+/**
+ * Make the OBS scene and source changes whose trigger matches an event sent by TM.
+ * Match start and stop rules use the match state worked out from the event, so the pause between periods doesn't trigger them.
+ * @param {Object} conn connection the event came from (after handleFieldsetMessage() has updated its state)
+ * @param {Object} event the event sent by TM
+ */
+function applyObsRules(conn, event){
+    obsRules.forEach(rule => {
+        let matches = false;
+        if (rule.trigger == "display") matches = event.type == "audienceDisplayChanged" && event.display == rule.display;
+        else if (rule.trigger == "field") matches = event.type == "fieldActivated" && Number(event.fieldID) == Number(rule.field);
+        else if (rule.trigger == "matchStarted") matches = event.type == "matchStarted" && conn.period == 0;
+        else if (rule.trigger == "matchStopped") matches = event.type == "matchStopped" && conn.fs_state.matchState == "STOPPED";
+        if (!matches) return;
+
+        let change;
+        if (rule.change == "scene") change = obs.setScene(rule.scene);
+        else change = obs.setSourceVisible(rule.scene, rule.source, rule.change == "show");
+        change.catch(err => log(`OBS ${rule.change} for ${rule.trigger} failed: ${err.message}`));
+    });
+}
+
+/**
+ * Show the status of the connection to OBS on every "OBS status" action, and in the property inspector if it's open.
+ */
+function updateObsActions(){
+    let status = obs.getStatus();
+    actions.filter(action => action.action == "us.johnholbrook.vextm.obs-status").forEach(action => {
+        let lines = [{text: "OBS", size: 34}].concat(obs_status_text[status.code].split("\n").map(text => ({text: text, size: 26})));
+        setImage(action.uuid, renderKey(obs_status_colors[status.code], lines));
+    });
+    if (piContext) sendConnectionInfo(piContext);
+}
+
+/**
+ * Show the "disconnected" image on every action whose connection isn't established, and put the normal image back once it is.
+ */
+function updateConnectionIndicators(){
+    actions.forEach(action => {
+        if (tm_independent_actions.includes(action.action)) return;
+        let conn = connectionFor(action.uuid);
+        let offline = !conn || !conn.established;
+        if (offline && !offlineActions.has(action.uuid)){
+            offlineActions.add(action.uuid);
+            setImage(action.uuid, disconnected_image);
+        }
+        else if (!offline && offlineActions.has(action.uuid)){
+            offlineActions.delete(action.uuid);
+            setImage(action.uuid, null);
+        }
+    });
+}
+
+/**
+ * Close the connection for a profile (if any) and forget about it.
+ * @param {String} id ID of the profile to disconnect
+ */
+function disconnectProfile(id){
+    let conn = connections[id];
+    if (!conn) return;
+    clearTimeout(conn.retryTimer);
+    stopClock(conn);
+    conn.established = false;
+    delete connections[id];
+    audit.record({type: "connection", profile: id, status: "disconnected"});
+    if (conn.fs_conn) conn.fs_conn.disconnect();
+}
+
+/**
+ * Make sure there is exactly one connection for each profile that at least one visible action is bound to.
+ */
+function syncConnections(){
+    let in_use = new Set(actions.map(action => profileFor(action.uuid)).filter(id => id));
+
+    Object.keys(connections).forEach(id => {
+        if (!in_use.has(id)) disconnectProfile(id);
+    });
+
+    in_use.forEach(id => {
+        if (!connections[id]) connectProfile(profiles.find(p => p.id == id));
+    });
+    updateConnectionIndicators();
+}
+
+/**
+ * Do whatever the specified action does when it's pressed.
+ * @param {String} action UUID of the type of action that was pressed (e.g. "us.johnholbrook.vextm.queue-next")
+ * @param {String} context UUID of the action that was pressed
+ * @param {Object} conn connection of the field set the action controls
+ */
+function triggerAction(action, context, conn){
+    let tm_fs = conn.fs;
+
+    // do the right thing based on which action was triggered
+    switch (action){
+        case "us.johnholbrook.vextm.queue-next":
+            tm_fs.queueNextMatch();
+            break;
+        case "us.johnholbrook.vextm.queue-prev":
+            tm_fs.queuePreviousMatch();
+            // tm_fs.send({cmd:"queuePrevMatch"});
+            break;
+        case "us.johnholbrook.vextm.queue-driving":
+            tm_fs.queueSkills(FieldsetQueueSkillsType.Driver);
+            break;
+        case "us.johnholbrook.vextm.queue-prog":
+            tm_fs.queueSkills(FieldsetQueueSkillsType.Programming);
+            break;
+        case "us.johnholbrook.vextm.move-match":
+            // TM.moveMatchToField(skillsFields[context]);
+            break;
+        case "us.johnholbrook.vextm.start-match":
+            tm_fs.startMatch();
+            break;
+        case "us.johnholbrook.vextm.end-early":
+            tm_fs.endMatchEarly();
+            break;
+        case "us.johnholbrook.vextm.start-end":
+            startOrEnd(context, conn);
+            break;
+        case "us.johnholbrook.vextm.reset":
+            tm_fs.resetTimer();
+            break;
+        case "us.johnholbrook.vextm.select-display":
+            tm_fs.setAudienceDisplay(selectedDisplays[context]);
+            break;
+        case "us.johnholbrook.vextm.team-stats":
+            requestTeamStats(conn);
+            break;
+        case "us.johnholbrook.vextm.on-deck":
+        case "us.johnholbrook.vextm.schedule-status":
+            requestSchedule(conn);
+            break;
+        case "us.johnholbrook.vextm.macro":
+            // pressing a macro key while it's running cancels it
+            if (runningMacros[context]) runningMacros[context].cancelled = true;
+            else runMacro(context, conn);
+            break;
+        case "us.johnholbrook.vextm.display-rotation":
+            if (runningRotations[context]) stopRotation(context);
+            else startRotation(context, conn);
+            break;
+    }
+}
+
+/**
+ * Handle a press of a protected action according to its protection mode:
+ * - "long_press": the action is triggered once the key has been held down for long_press_ms
+ * - "double_tap": the action is triggered by a second press within double_tap_ms of the first
+ * - "not_running": the action is rejected while a match is running or paused between periods
+ * Keys waiting for confirmation show an "armed" image, and rejected presses show an alert.
+ * @param {String} action UUID of the type of action that was pressed
+ * @param {String} context UUID of the action that was pressed
+ * @param {Object} conn connection of the field set the action controls
+ */
+function guardPress(action, context, conn){
+    let mode = keyProtection[context];
+    if (mode == "not_running"){
+        if (isMatchLive(conn.fs_state)) showAlert(context);
+        else triggerAction(action, context, conn);
+    }
+    else if (mode == "double_tap"){
+        if (armedKeys[context]){
+            disarmKey(context);
+            triggerAction(action, context, conn);
+        }
+        else armKey(context, "Press\nagain", double_tap_ms, () => {});
+    }
+    else if (mode == "long_press"){
+        armKey(context, "Hold", long_press_ms, () => {
+            if (conn.established) triggerAction(action, context, conn);
+            else showAlert(context);
+        });
+    }
+    else triggerAction(action, context, conn);
+}
+
+/**
+ * Show the "armed" image on a protected action and wait for its press to be confirmed.
+ * @param {String} context UUID of the action
+ * @param {String} label text to show on the key while it's armed
+ * @param {Number} ms how long to stay armed
+ * @param {Function} onExpire called (after disarming) if the key is still armed when the time is up
+ */
+function armKey(context, label, ms, onExpire){
+    disarmKey(context);
+    setImage(context, renderKey(armed_color, label.split("\n").map(text => ({text: text, size: 34}))));
+    armedKeys[context] = setTimeout(() => {
+        disarmKey(context);
+        onExpire();
+    }, ms);
+}
+
+/**
+ * Stop waiting for a protected action's press to be confirmed, and put its normal image back.
+ * @param {String} context UUID of the action
+ */
+function disarmKey(context){
+    if (!armedKeys[context]) return;
+    clearTimeout(armedKeys[context]);
+    delete armedKeys[context];
+    setImage(context, offlineActions.has(context) ? disconnected_image : null);
+}
+
+/**
+ * Main function for the plugin.
+ */
+function main(){
+    let inPort = process.argv[3];
+    pluginUUID = process.argv[5];
+    let inRegisterEvent = process.argv[7];
+    let inInfo = JSON.parse(process.argv[9]);
+
+    // Stream Deck 6.0 sends "dialPress" (when the dial is pressed and again when it's released) instead of "dialDown"
+    let sd_version = String(inInfo.application.version).split(".").map(Number);
+    if (sd_version[0] == 6 && sd_version[1] < 1) dialPressEvent = "dialPress";
+
+    // create a new websocket on the appropriate port
+    websocket = new WebSocket(`ws://127.0.0.1:${inPort}`);
+
+    // register the plugin with the Stream Deck Software
+    websocket.on("open", () => {
+        send({
+            "event": inRegisterEvent,
+            "uuid" : pluginUUID
+        });
+
+        log("Hello from plugin!")
+
+        // hack to get the global settings
+        setTimeout(() => {
+            send({
+                "event": "getGlobalSettings",
+                "context": pluginUUID
+            });
+        }, 200);
+    });
+
+    // message handler
+    websocket.on("message", async data => {
+        let json = JSON.parse(data);
+        log(`Plugin recieved event: ${json.event}`);
+
+        // recieve the connection profiles
+        if (json.event == "didReceiveGlobalSettings"){
+            let settings = json.payload.settings;
+            profiles = readProfiles(settings);
+            audit.configure(settings.audit, message => log(message));
+            bridge.configure(settings.bridge, {getState: bridgeState, runCommand: runBridgeCommand, log: log});
+            obsRules = (settings.obs && Array.isArray(settings.obs.rules)) ? settings.obs.rules : [];
+
+            // rename the current match on every connection if the round names changed
+            let new_round_names = settings.round_names ? settings.round_names : {};
+            if (JSON.stringify(new_round_names) != JSON.stringify(roundNames)){
+                roundNames = new_round_names;
+                Object.values(connections).forEach(conn => {
+                    if (!conn.established) return;
+                    if (conn.currentMatch) conn.fs_state.currentMatchName = buildMatchName(conn.currentMatch);
+                    updateMatchInfo(conn);
+                    updateFieldActions(conn);
+                    updateOnDeck(conn);
+                });
+            }
+            obs.configure(settings.obs, {log: log, onStatus: updateObsActions});
+
+            // check the client credentials, warning on every key if they've expired or are about to
+            let new_credentials = readCredentials(settings.credentials);
+            let credentials_changed = !credentials || JSON.stringify(new_credentials) != JSON.stringify(credentials);
+            credentials = new_credentials;
+            if (credentials_changed){
+                if (credentials.problem || credentials.warning) log(credentials.problem ? credentials.problem : credentials.warning);
+                actions.forEach(action => warnCredentials(action.uuid));
+            }
+
+            // reconnect any profile whose settings changed (or every profile, if the user asked to reconnect or the credentials changed)
+            let reconnect_all = settings.reconnect !== lastReconnect || credentials_changed;
+            lastReconnect = settings.reconnect;
+            Object.keys(connections).forEach(id => {
+                let profile = profiles.find(p => p.id == id);
+                if (reconnect_all || !profile || JSON.stringify(profile) != JSON.stringify(connections[id].profile)) disconnectProfile(id);
+            });
+            syncConnections();
+            if (piContext) sendConnectionInfo(piContext);
+        }
+
+        // keypress handler
+        else if (json.event == "keyDown"){
+            // pressing an "OBS status" key tries to connect to OBS right away
+            if (json.action == "us.johnholbrook.vextm.obs-status"){
+                audit.record({type: "command", event: json.event, action: json.action, context: json.context, sent: true});
+                obs.reconnect();
+                return;
+            }
+            // "field" keys only show their field, since the TM API has no command to make a field active
+            if (json.action == "us.johnholbrook.vextm.field"){
+                audit.record({type: "command", event: json.event, action: json.action, context: json.context, profile: profileFor(json.context), sent: false});
+                showAlert(json.context);
+                return;
+            }
+
+            // if there's no connection to the server for this key's profile, don't do anything in response to a keypress
+            // (other than letting the user know it didn't work)
+            let conn = connectionFor(json.context);
+            let connected = conn && conn.established;
+            audit.record({type: "command", event: json.event, action: json.action, context: json.context, profile: profileFor(json.context), sent: connected ? true : false});
+            if (!connected){
+                showAlert(json.context);
+                return;
+            }
+            // keys that could ruin a live match if pressed by accident may need the press confirmed first
+            if (protected_actions.includes(json.action)) guardPress(json.action, json.context, conn);
+            else triggerAction(json.action, json.context, conn);
+        }
+
+        // dial handlers (stream deck +)
+        // (the match control dial ignores taps on the touch strip, so a match can't be ended by brushing against it)
+        else if (json.event == "dialRotate" || (json.event == dialPressEvent && (json.event != "dialPress" || json.payload.pressed)) ||
+                 (json.event == "touchTap" && json.action == "us.johnholbrook.vextm.display-dial")){
+            let conn = connectionFor(json.context);
+            let connected = conn && conn.established;
+            audit.record({type: "command", event: json.event, action: json.action, context: json.context, profile: profileFor(json.context), ticks: json.payload.ticks, sent: connected ? true : false});
+            if (!connected){
+                showAlert(json.context);
+                return;
+            }
+
+            if (json.action == "us.johnholbrook.vextm.match-dial"){
+                // turn to step through the match queue (except during a match, so a nudge can't change it), press to start/end the match
+                if (json.event == "dialRotate"){
+                    if (isMatchLive(conn.fs_state)) showAlert(json.context);
+                    else if (json.payload.ticks > 0) conn.fs.queueNextMatch();
+                    else if (json.payload.ticks < 0) conn.fs.queuePreviousMatch();
+                }
+                else startOrEnd(json.context, conn);
+            }
+            else if (json.action == "us.johnholbrook.vextm.display-dial"){
+                // turn to choose a display, press or tap to show it
+                if (json.event == "dialRotate"){
+                    let displays = Object.keys(display_id_names);
+                    let idx = displays.indexOf(displayDialSelections[json.context]);
+                    idx = ((idx + json.payload.ticks) % displays.length + displays.length) % displays.length;
+                    displayDialSelections[json.context] = displays[idx];
+                    updateDisplayDials(conn);
+                }
+                else conn.fs.setAudienceDisplay(displayDialSelections[json.context]);
+            }
+        }
+
+        // when a "select display" key is released, update its state again
+        else if (json.event == "keyUp"){
+            // a "long press" key released before it was held long enough doesn't do anything
+            if (keyProtection[json.context] == "long_press" && armedKeys[json.context]){
+                disarmKey(json.context);
+                showAlert(json.context);
+            }
+            else if (json.action == "us.johnholbrook.vextm.select-display"){
+                let conn = connectionFor(json.context);
+                let this_action_disp = selectedDisplays[json.context]
+                setState(json.context, (conn && this_action_disp == conn.fs_state.selectedDisplay) ? 0 : 1);
+            }
+            // same for "start/end" keys, which should only change state when the match actually starts or stops
+            else if (json.action == "us.johnholbrook.vextm.start-end"){
+                let conn = connectionFor(json.context);
+                setState(json.context, (conn && isMatchRunning(conn.fs_state)) ? 1 : 0);
+            }
+            // and "display rotation" keys, which should only show the "running" state while rotating
+            else if (json.action == "us.johnholbrook.vextm.display-rotation"){
+                setState(json.context, runningRotations[json.context] ? 1 : 0);
+            }
+        }
+
+        // register a new start/end action when it appears
+        else if (json.event == "willAppear"){
+            actions.push({
+                uuid: json.context,
+                action: json.action
+            });
+            // keep track of which connection profile this action uses
+            actionProfiles[json.context] = json.payload.settings.profile;
+            syncConnections();
+            if (credentials) warnCredentials(json.context);
+
+            // log(JSON.stringify(actions));
+            if (json.action == "us.johnholbrook.vextm.select-display"){
+                // keep track of which display should be selected when this action is triggered
+                selectedDisplays[json.context] = json.payload.settings.selected_display ? json.payload.settings.selected_display : "INTRO";
+                if (json.payload.settings.title_template) titleTemplates[json.context] = json.payload.settings.title_template;
+                
+                // Set the title of the action according to the selected display (or its title template)
+                let title = selectDisplayTitle(json.context, connectionFor(json.context));
+                templateTitles[json.context] = title;
+                setTitle(json.context, title);
+            }
+            else if (json.action == "us.johnholbrook.vextm.match-info"){
+                // keep track of what info should be shown on this action
+                matchInfoActionPreferences[json.context] = {
+                    selected_info: json.payload.settings.selected_info ? json.payload.settings.selected_info : 1,
+                    show_teams: json.payload.settings.show_teams ? true : false,
+                    template: json.payload.settings.template ? json.payload.settings.template : ""
+                };
+                
+                // show the selected info on this action
+                let conn = connectionFor(json.context);
+                if (conn && conn.established) updateMatchInfo(conn);
+            }
+            else if (json.action == "us.johnholbrook.vextm.start-end"){
+                // show whether pressing this action will start or end the match
+                let conn = connectionFor(json.context);
+                if (conn && conn.established) updateStartEndActions(conn);
+            }
+            else if (protected_actions.includes(json.action)){
+                // keep track of how this action is protected against accidental presses
+                keyProtection[json.context] = json.payload.settings.protection ? json.payload.settings.protection : "none";
+            }
+            else if (json.action == "us.johnholbrook.vextm.team-stats"){
+                // keep track of which team's stats to show on this action
+                teamStatsSettings[json.context] = {
+                    source: json.payload.settings.team_source ? json.payload.settings.team_source : "team",
+                    team: json.payload.settings.team ? String(json.payload.settings.team).trim().toUpperCase() : ""
+                };
+
+                // show the stats, fetching them first if this is the first "team stats" action on this connection
+                let conn = connectionFor(json.context);
+                if (conn && conn.established){
+                    if (conn.teamStats) updateTeamStats(conn);
+                    else requestTeamStats(conn);
+                }
+            }
+            else if (json.action == "us.johnholbrook.vextm.on-deck"){
+                // keep track of how many matches to show on this action
+                onDeckCounts[json.context] = json.payload.settings.count ? Number(json.payload.settings.count) : 1;
+
+                // show the upcoming matches, fetching the schedule first if this is the first action on this connection that needs it
+                let conn = connectionFor(json.context);
+                if (conn && conn.established){
+                    if (conn.schedule) updateOnDeck(conn);
+                    else requestSchedule(conn);
+                }
+            }
+            else if (json.action == "us.johnholbrook.vextm.schedule-status"){
+                // keep track of the thresholds for this action
+                scheduleStatusSettings[json.context] = readScheduleStatusSettings(json.payload.settings);
+
+                // show how far behind schedule the field set is, fetching the schedule first if nothing else has
+                let conn = connectionFor(json.context);
+                if (conn && conn.established){
+                    if (conn.schedule) updateScheduleStatus(conn);
+                    else requestSchedule(conn);
+                }
+                startScheduleStatusTimer();
+            }
+            else if (json.action == "us.johnholbrook.vextm.match-dial"){
+                // show the current match on the touch strip
+                let conn = connectionFor(json.context);
+                if (conn && conn.established) updateMatchInfo(conn);
+            }
+            else if (json.action == "us.johnholbrook.vextm.display-dial"){
+                // start from the display currently being shown
+                let conn = connectionFor(json.context);
+                displayDialSelections[json.context] = (conn && conn.fs_state.selectedDisplay) ? conn.fs_state.selectedDisplay : "INTRO";
+                if (conn) updateDisplayDials(conn);
+            }
+            else if (json.action == "us.johnholbrook.vextm.macro"){
+                // keep track of the steps to run when this action is triggered
+                macroSteps[json.context] = json.payload.settings.steps ? json.payload.settings.steps : [];
+            }
+            else if (json.action == "us.johnholbrook.vextm.obs-status"){
+                // show whether OBS is reachable
+                updateObsActions();
+            }
+            else if (json.action == "us.johnholbrook.vextm.display-rotation"){
+                // keep track of the displays to rotate through when this action is turned on
+                rotationSettings[json.context] = readRotationSettings(json.payload.settings);
+                setState(json.context, 0);
+            }
+            else if (field_actions.includes(json.action)){
+                // keep track of which field this action shows
+                skillsFields[json.context] = json.payload.settings.field;
+
+                // show the field and its queued match on this action
+                let conn = connectionFor(json.context);
+                if (conn && conn.established) updateFieldActions(conn);
+                else setTitle(json.context, "");
+            }
+        }
+
+        // deregister a start/end action when it disappears
+        else if (json.event == "willDisappear"){
+            actions = removeItem(actions, {
+                uuid: json.context,
+                action: json.action
+            });
+            delete actionProfiles[json.context];
+            offlineActions.delete(json.context);
+            syncConnections();
+
+            // log(JSON.stringify(actions));
+            if (json.action == "us.johnholbrook.vextm.select-display"){
+                // stop keeping track of which display should be selected when this action is triggered
+                delete selectedDisplays[json.context];
+                delete titleTemplates[json.context];
+                delete templateTitles[json.context];
+                // log(JSON.stringify(selectedDisplays));
+            }
+            else if (field_actions.includes(json.action)){
+                delete skillsFields[json.context];
+            }
+            else if (json.action == "us.johnholbrook.vextm.match-info"){
+                delete matchInfoActionPreferences[json.context];
+            }
+            else if (json.action == "us.johnholbrook.vextm.display-dial"){
+                delete displayDialSelections[json.context];
+            }
+            else if (json.action == "us.johnholbrook.vextm.team-stats"){
+                delete teamStatsSettings[json.context];
+            }
+            else if (json.action == "us.johnholbrook.vextm.on-deck"){
+                delete onDeckCounts[json.context];
+            }
+            else if (json.action == "us.johnholbrook.vextm.schedule-status"){
+                delete scheduleStatusSettings[json.context];
+            }
+            else if (protected_actions.includes(json.action)){
+                clearTimeout(armedKeys[json.context]);
+                delete armedKeys[json.context];
+                delete keyProtection[json.context];
+            }
+            else if (json.action == "us.johnholbrook.vextm.macro"){
+                // stop any run of this macro in progress
+                if (runningMacros[json.context]) runningMacros[json.context].cancelled = true;
+                delete macroSteps[json.context];
+            }
+            else if (json.action == "us.johnholbrook.vextm.display-rotation"){
+                // stop rotating without touching the key, since it's gone
+                if (runningRotations[json.context]) clearTimeout(runningRotations[json.context].timer);
+                delete runningRotations[json.context];
+                delete rotationSettings[json.context];
+            }
+        }
+
+        else if (json.event == "didReceiveSettings"){
+            // switch this action over to a different connection profile if one was selected
+            actionProfiles[json.context] = json.payload.settings.profile;
+            syncConnections();
+            let conn = connectionFor(json.context);
+            if (piContext == json.context) sendConnectionInfo(json.context);
+
+            // update the display to be selected when this action is triggered
+            if (json.action == "us.johnholbrook.vextm.select-display"){
+                // keep track of which display should be selected when this action is triggered
+                selectedDisplays[json.context] = json.payload.settings.selected_display;
+                if (json.payload.settings.title_template) titleTemplates[json.context] = json.payload.settings.title_template;
+                else delete titleTemplates[json.context];
+
+                // Set the title of the action according to the selected display (or its title template)
+                let title = selectDisplayTitle(json.context, conn);
+                templateTitles[json.context] = title;
+                setTitle(json.context, title);
+                setState(json.context, (conn && selectedDisplays[json.context] == conn.fs_state.selectedDisplay) ? 0 : 1);
+            }
+
+            // update the info to be shown on this "match info" action
+            else if (json.action == "us.johnholbrook.vextm.match-info"){
+                // keep track of what info should be shown on this action
+                matchInfoActionPreferences[json.context] = {
+                    selected_info: json.payload.settings.selected_info,
+                    show_teams: json.payload.settings.show_teams ? true : false,
+                    template: json.payload.settings.template ? json.payload.settings.template : ""
+                };
+
+                // show the selected info on this action
+                if (conn && conn.established) updateMatchInfo(conn);
+            }
+
+            // update which team's stats to show on this "team stats" action
+            else if (json.action == "us.johnholbrook.vextm.team-stats"){
+                teamStatsSettings[json.context] = {
+                    source: json.payload.settings.team_source ? json.payload.settings.team_source : "team",
+                    team: json.payload.settings.team ? String(json.payload.settings.team).trim().toUpperCase() : ""
+                };
+                if (conn && conn.established){
+                    if (conn.teamStats) updateTeamStats(conn);
+                    else requestTeamStats(conn);
+                }
+            }
+
+            // update how many matches to show on this "on deck" action
+            else if (json.action == "us.johnholbrook.vextm.on-deck"){
+                onDeckCounts[json.context] = json.payload.settings.count ? Number(json.payload.settings.count) : 1;
+                if (conn && conn.established){
+                    if (conn.schedule) updateOnDeck(conn);
+                    else requestSchedule(conn);
+                }
+            }
+
+            // update the thresholds of this "schedule status" action
+            else if (json.action == "us.johnholbrook.vextm.schedule-status"){
+                scheduleStatusSettings[json.context] = readScheduleStatusSettings(json.payload.settings);
+                if (conn && conn.established) updateScheduleStatus(conn);
+            }
+
+            // update how this action is protected against accidental presses
+            else if (protected_actions.includes(json.action)){
+                keyProtection[json.context] = json.payload.settings.protection ? json.payload.settings.protection : "none";
+            }
+
+            // update the steps to run for this "macro" action
+            else if (json.action == "us.johnholbrook.vextm.macro"){
+                macroSteps[json.context] = json.payload.settings.steps ? json.payload.settings.steps : [];
+            }
+
+            // update the displays to rotate through (a running rotation carries on with the new list)
+            else if (json.action == "us.johnholbrook.vextm.display-rotation"){
+                rotationSettings[json.context] = readRotationSettings(json.payload.settings);
+                if (runningRotations[json.context] && rotationSettings[json.context].displays.length == 0) stopRotation(json.context);
+            }
+
+            // update the field shown by this action
+            else if (field_actions.includes(json.action)){
+                skillsFields[json.context] = json.payload.settings.field;
+                if (conn && conn.established) updateFieldActions(conn);
+            }
+        }
+
+        // keep track of which action's property inspector is open, so it can be sent connection info
+        else if (json.event == "propertyInspectorDidAppear"){
+            piContext = json.context;
+            sendConnectionInfo(json.context);
+        }
+
+        else if (json.event == "propertyInspectorDidDisappear"){
+            if (piContext == json.context) piContext = null;
+        }
+
+        // the property inspector asks for connection info when it loads
+        else if (json.event == "sendToPlugin"){
+            if (json.payload.request == "connectionInfo"){
+                piContext = json.context;
+                sendConnectionInfo(json.context);
             }
         }
 
@@ -409,4 +2259,4 @@ function main(){
 } // end of function 'main'
 
 // call the main function
-main();
\ No newline at end of file
+main();
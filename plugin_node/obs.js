@@ -0,0 +1,232 @@
+/**
+ * @file obs.js
+ * @author John Holbrook
+ * Connection to OBS using the obs-websocket v5 protocol, used to switch scenes and show or hide sources when things happen in TM.
+ * Reconnects automatically (with exponential backoff) whenever the connection fails or is lost.
+ */
+
+const crypto = require("crypto");
+const WebSocket = require("ws");
+
+const default_port = 4455;
+const reconnect_delay_min = 1000; // ms
+const reconnect_delay_max = 30000; // ms
+const request_timeout_ms = 5000; // how long to wait for OBS to respond to a request
+const auth_failed_code = 4009; // close code OBS uses when the password is wrong
+
+// obs-websocket op codes
+const op = {
+    hello: 0,
+    identify: 1,
+    identified: 2,
+    request: 6,
+    requestResponse: 7
+};
+
+var config = null; // settings the connection was made with
+var handlers = null; // functions provided by the plugin to log messages and show the status
+var socket = null; // websocket connection to OBS
+var identified = false; // has OBS accepted the connection?
+var status = {code: "disabled", message: "OBS integration is turned off"}; // code and message describing the state of the connection
+var retryDelay = reconnect_delay_min; // how long to wait before the next reconnection attempt (ms)
+var retryTimer = null; // timer for the next reconnection attempt
+var nextRequestId = 1; // ID of the next request sent to OBS
+var pendingRequests = {}; // callbacks for each request waiting for a response, keyed by request ID
+
+/**
+ * Start, restart or stop the connection to OBS to match its settings from the property inspector.
+ * @param {Object} settings object with "enabled", "host", "port" and "password" properties (or undefined to turn the integration off)
+ * @param {Object} pluginHandlers object with the functions log(message) and onStatus(status), called whenever the status changes
+ */
+function configure(settings, pluginHandlers){
+    settings = settings ? settings : {};
+    handlers = pluginHandlers;
+    let new_config = {
+        enabled: settings.enabled ? true : false,
+        host: settings.host ? settings.host : "localhost",
+        port: Number(settings.port) > 0 ? Number(settings.port) : default_port,
+        password: settings.password ? settings.password : ""
+    };
+    if (config && JSON.stringify(config) == JSON.stringify(new_config)) return;
+
+    disconnect();
+    config = new_config;
+    if (config.enabled) connect();
+    else setStatus("disabled", "OBS integration is turned off");
+}
+
+/**
+ * Get the status of the connection to OBS.
+ * @returns Object with a code ("disabled", "connecting", "connected", "not_connected" or "auth_failed") and a message
+ */
+function getStatus(){
+    return status;
+}
+
+/**
+ * Update the status of the connection and tell the plugin about it.
+ * @param {String} code one of "disabled", "connecting", "connected", "not_connected" or "auth_failed"
+ * @param {String} message human-readable description of the status
+ */
+function setStatus(code, message){
+    status = {code: code, message: message};
+    if (handlers) handlers.onStatus(status);
+}
+
+/**
+ * Connect to OBS right away (e.g. when the status key is pressed), instead of waiting for the next reconnection attempt.
+ */
+function reconnect(){
+    if (!config || !config.enabled) return;
+    disconnect();
+    retryDelay = reconnect_delay_min;
+    connect();
+}
+
+/**
+ * Open the websocket to OBS and identify once it says hello.
+ */
+function connect(){
+    setStatus("connecting", `Connecting to OBS at ${config.host}:${config.port}...`);
+    let ws = new WebSocket(`ws://${config.host}:${config.port}`);
+    socket = ws;
+
+    ws.on("message", data => {
+        if (socket != ws) return;
+        let message;
+        try {
+            message = JSON.parse(data);
+        }
+        catch (err){
+            return;
+        }
+
+        if (message.op == op.hello){
+            let identify = {rpcVersion: 1, eventSubscriptions: 0}; // we only send requests, so don't subscribe to any events
+            let auth = message.d.authentication;
+            if (auth){
+                // base64(sha256(base64(sha256(password + salt)) + challenge))
+                let secret = crypto.createHash("sha256").update(config.password + auth.salt).digest("base64");
+                identify.authentication = crypto.createHash("sha256").update(secret + auth.challenge).digest("base64");
+            }
+            ws.send(JSON.stringify({op: op.identify, d: identify}));
+        }
+        else if (message.op == op.identified){
+            identified = true;
+            retryDelay = reconnect_delay_min;
+            setStatus("connected", `Connected to OBS at ${config.host}:${config.port}`);
+        }
+        else if (message.op == op.requestResponse){
+            let pending = pendingRequests[message.d.requestId];
+            if (!pending) return;
+            delete pendingRequests[message.d.requestId];
+            clearTimeout(pending.timer);
+            if (message.d.requestStatus.result) pending.resolve(message.d.responseData);
+            else pending.reject(new Error(`${message.d.requestType} failed: ${message.d.requestStatus.comment ? message.d.requestStatus.comment : message.d.requestStatus.code}`));
+        }
+    });
+
+    // "error" is always followed by "close", which is where reconnection happens
+    ws.on("error", err => {
+        if (socket == ws) handlers.log(`OBS connection error: ${err.message}`);
+    });
+
+    ws.on("close", code => {
+        if (socket != ws) return;
+        socket = null;
+        identified = false;
+        rejectPending("Connection to OBS closed");
+        let wait = Math.round(scheduleReconnect() / 1000);
+        if (code == auth_failed_code) setStatus("auth_failed", `OBS rejected the password, retrying in ${wait}s`);
+        else setStatus("not_connected", `OBS not reachable at ${config.host}:${config.port}, retrying in ${wait}s`);
+    });
+}
+
+/**
+ * Try connecting again after a delay, doubling the delay each time (up to reconnect_delay_max).
+ * @returns Number of ms until the next attempt
+ */
+function scheduleReconnect(){
+    clearTimeout(retryTimer);
+    let wait = retryDelay;
+    retryDelay = Math.min(retryDelay * 2, reconnect_delay_max);
+    retryTimer = setTimeout(() => {
+        if (config && config.enabled && !socket) connect();
+    }, wait);
+    return wait;
+}
+
+/**
+ * Close the connection to OBS, if there is one, without reconnecting.
+ */
+function disconnect(){
+    clearTimeout(retryTimer);
+    retryTimer = null;
+    identified = false;
+    rejectPending("Disconnected from OBS");
+    if (socket){
+        let ws = socket;
+        socket = null;
+        ws.terminate();
+    }
+}
+
+/**
+ * Fail every request still waiting for a response.
+ * @param {String} reason error message for the requests
+ */
+function rejectPending(reason){
+    Object.values(pendingRequests).forEach(pending => {
+        clearTimeout(pending.timer);
+        pending.reject(new Error(reason));
+    });
+    pendingRequests = {};
+}
+
+/**
+ * Send a request to OBS.
+ * @param {String} type the request type (e.g. "SetCurrentProgramScene")
+ * @param {Object} data the request's data
+ * @returns Promise that resolves to the response data
+ */
+function request(type, data){
+    if (!socket || !identified) return Promise.reject(new Error("Not connected to OBS"));
+    let id = String(nextRequestId++);
+    return new Promise((resolve, reject) => {
+        let timer = setTimeout(() => {
+            delete pendingRequests[id];
+            reject(new Error(`${type} timed out`));
+        }, request_timeout_ms);
+        pendingRequests[id] = {resolve: resolve, reject: reject, timer: timer};
+        socket.send(JSON.stringify({op: op.request, d: {requestType: type, requestId: id, requestData: data}}));
+    });
+}
+
+/**
+ * Switch the program output to a scene.
+ * @param {String} scene name of the scene
+ * @returns Promise
+ */
+function setScene(scene){
+    return request("SetCurrentProgramScene", {sceneName: scene});
+}
+
+/**
+ * Show or hide a source in a scene.
+ * @param {String} scene name of the scene containing the source
+ * @param {String} source name of the source
+ * @param {Boolean} visible true to show the source, false to hide it
+ * @returns Promise
+ */
+async function setSourceVisible(scene, source, visible){
+    let item = await request("GetSceneItemId", {sceneName: scene, sourceName: source});
+    return request("SetSceneItemEnabled", {sceneName: scene, sceneItemId: item.sceneItemId, sceneItemEnabled: visible});
+}
+
+module.exports = {
+    configure,
+    getStatus,
+    reconnect,
+    setScene,
+    setSourceVisible
+};
@@ -0,0 +1,212 @@
+/**
+ * @file render.js
+ * @author John Holbrook
+ * Draw images for keys as SVG data URLs that can be passed to setImage.
+ */
+
+// background color for each match state
+const state_colors = {
+    "PRESTART": "#c98a00",
+    "PAUSE": "#c98a00",
+    "AUTONOMOUS": "#1f8a3b",
+    "DRIVER": "#1f8a3b",
+    "RUNNING": "#1f8a3b",
+    "STOPPED": "#b3261e"
+};
+const default_color = "#2b2b2b"; // background when the match state is unknown
+const queued_field_color = "#3d5a80"; // background of "field" keys whose field has a match queued but isn't active
+const idle_text_color = "#8a8a8a"; // text on "field" keys whose field has nothing to do
+const red_alliance_color = "#d0342c";
+const blue_alliance_color = "#2c5fd0";
+const red_text_color = "#ff7a72"; // alliance colors lightened enough to read on a dark background
+const blue_text_color = "#7aa2ff";
+
+// keys are drawn at 144x144 so they look sharp on high-DPI stream decks
+const key_size = 144;
+
+/**
+ * Escape text so it can be placed inside an SVG document.
+ * @param {String} text text to escape
+ * @returns String
+ */
+function escapeXML(text){
+    return String(text)
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;");
+}
+
+/**
+ * Turn an SVG document into a data URL.
+ * @param {String} svg the SVG document
+ * @returns String
+ */
+function svgURL(svg){
+    return "data:image/svg+xml;charset=utf8," + encodeURIComponent(svg);
+}
+
+/**
+ * Pick a font size that fits a line of text across the key.
+ * @param {String} text the text to fit
+ * @param {Number} max largest font size to use
+ * @param {Number} width width available for the text
+ * @returns Number
+ */
+function fitFontSize(text, max, width = key_size - 12){
+    // bold sans-serif digits and capitals are roughly 0.62em wide
+    let len = Math.max(1, String(text).length);
+    return Math.min(max, Math.floor(width / (len * 0.62)));
+}
+
+/**
+ * Draw lines of centered text on a solid background, with an optional strip across the bottom for each alliance.
+ * @param {String} background background color
+ * @param {Array} lines list of objects with "text", (maximum) "size" and optionally "color" properties, drawn top to bottom
+ * @param {Object} alliances optional object with "red" and "blue" lists of team numbers
+ * @returns String containing an SVG data URL
+ */
+function renderKey(background, lines, alliances){
+    let strip_height = alliances ? 26 : 0;
+    let strips = alliances ? ["red", "blue"].filter(color => alliances[color] && alliances[color].length > 0) : [];
+    let text_bottom = key_size - strip_height * strips.length;
+
+    // lay the lines out evenly in the space above the alliance strips, shrinking them if they don't fit
+    let sizes = lines.map(line => fitFontSize(line.text, line.size));
+    let total = sizes.reduce((a, b) => a + b, 0) + 6 * (lines.length - 1);
+    let scale = Math.min(1, (text_bottom - 8) / total);
+    sizes = sizes.map(size => Math.floor(size * scale));
+    total = sizes.reduce((a, b) => a + b, 0) + 6 * (lines.length - 1);
+    let y = (text_bottom - total) / 2;
+    let text = lines.map((line, i) => {
+        y += sizes[i];
+        let fill = line.color ? ` fill="${line.color}"` : "";
+        let element = `<text x="${key_size / 2}" y="${y - sizes[i] * 0.15}" font-size="${sizes[i]}"${fill}>${escapeXML(line.text)}</text>`;
+        y += 6;
+        return element;
+    }).join("");
+
+    let strip_elements = strips.map((color, i) => {
+        let top = text_bottom + strip_height * i;
+        let teams = alliances[color].join(" ");
+        let size = fitFontSize(teams, 18);
+        return `<rect y="${top}" width="${key_size}" height="${strip_height}" fill="${color == "red" ? red_alliance_color : blue_alliance_color}"/>` +
+            `<text x="${key_size / 2}" y="${top + strip_height / 2 + size * 0.35}" font-size="${size}">${escapeXML(teams)}</text>`;
+    }).join("");
+
+    return svgURL(
+        `<svg xmlns="http://www.w3.org/2000/svg" width="${key_size}" height="${key_size}" viewBox="0 0 ${key_size} ${key_size}">` +
+        `<rect width="${key_size}" height="${key_size}" fill="${background}"/>` +
+        `<g font-family="Arial, Helvetica, sans-serif" font-weight="bold" fill="#ffffff" text-anchor="middle">${text}${strip_elements}</g>` +
+        `</svg>`
+    );
+}
+
+/**
+ * Draw the image for a "match info" key.
+ * @param {Object} info object with the "matchName", "field", "state" and "time" to show, the "red" and "blue" team numbers, and the "custom" lines of text (from a template)
+ * @param {Number} preference what to show (1: all, 2: match number, 3: current field, 4: match state, 5: time remaining, 6: custom)
+ * @param {Boolean} showTeams whether to show the teams in the match along the bottom of the key
+ * @returns String containing an SVG data URL
+ */
+function renderMatchInfo(info, preference, showTeams){
+    let background = state_colors[info.state] ? state_colors[info.state] : default_color;
+    let lines;
+    switch (Number(preference)){
+        case 2:
+            lines = [{text: info.matchName, size: 52}];
+            break;
+        case 3:
+            lines = [{text: info.field, size: 40}];
+            break;
+        case 4:
+            lines = [{text: info.state, size: 32}];
+            break;
+        case 5:
+            lines = [{text: info.time ? info.time : "-:--", size: 56}];
+            break;
+        case 6:
+            lines = (info.custom ? info.custom : []).map(text => ({text: text.trim(), size: info.custom.length == 1 ? 44 : 30}));
+            break;
+        default:
+            lines = [
+                {text: info.matchName, size: 44},
+                {text: info.field, size: 20},
+                {text: info.time ? info.time : info.state, size: 20}
+            ];
+    }
+    lines = lines.filter(line => line.text);
+    return renderKey(background, lines, showTeams ? {red: info.red, blue: info.blue} : null);
+}
+
+/**
+ * Draw the image for an "on deck" key, with one row per upcoming match showing its name, field and alliances.
+ * @param {Array} matches list of objects with the "name", "field", and "red" and "blue" team numbers of each match
+ * @returns String containing an SVG data URL
+ */
+function renderOnDeck(matches){
+    if (matches.length == 0){
+        return renderKey(default_color, [{text: "No more", size: 26}, {text: "matches", size: 26}]);
+    }
+
+    let rows = "";
+    let row_height = key_size / matches.length;
+    let big = (matches.length == 1);
+    matches.forEach((match, i) => {
+        let top = row_height * i;
+        let title = match.field ? `${match.name} \u2022 ${match.field}` : match.name;
+        let title_size = fitFontSize(title, big ? 30 : 20);
+        let red = match.red.join(" ");
+        let blue = match.blue.join(" ");
+
+        if (i > 0) rows += `<line x1="0" y1="${top}" x2="${key_size}" y2="${top}" stroke="#5a5a5a" stroke-width="2"/>`;
+        rows += `<text x="${key_size / 2}" y="${Math.round(top + row_height * (big ? 0.3 : 0.45))}" font-size="${title_size}">${escapeXML(title)}</text>`;
+        if (big){
+            // one match: each alliance on its own line
+            rows += `<text x="${key_size / 2}" y="${Math.round(top + row_height * 0.62)}" font-size="${fitFontSize(red, 22)}" fill="${red_text_color}">${escapeXML(red)}</text>`;
+            rows += `<text x="${key_size / 2}" y="${Math.round(top + row_height * 0.88)}" font-size="${fitFontSize(blue, 22)}" fill="${blue_text_color}">${escapeXML(blue)}</text>`;
+        }
+        else {
+            // several matches: alliances side by side
+            let half = key_size / 2 - 4;
+            rows += `<text x="${key_size / 4}" y="${Math.round(top + row_height * 0.85)}" font-size="${fitFontSize(red, 14, half)}" fill="${red_text_color}">${escapeXML(red)}</text>`;
+            rows += `<text x="${key_size * 3 / 4}" y="${Math.round(top + row_height * 0.85)}" font-size="${fitFontSize(blue, 14, half)}" fill="${blue_text_color}">${escapeXML(blue)}</text>`;
+        }
+    });
+
+    return svgURL(
+        `<svg xmlns="http://www.w3.org/2000/svg" width="${key_size}" height="${key_size}" viewBox="0 0 ${key_size} ${key_size}">` +
+        `<rect width="${key_size}" height="${key_size}" fill="${default_color}"/>` +
+        `<g font-family="Arial, Helvetica, sans-serif" font-weight="bold" fill="#ffffff" text-anchor="middle">${rows}</g>` +
+        `</svg>`
+    );
+}
+
+/**
+ * Draw the image for a "field" key: lit in the match state's color while the field is active, in blue while it has a match
+ * queued, and dark while it has nothing to do.
+ * @param {Object} info object with the "field" name, the "matchName" and "state" of its match, and the "red" and "blue" team numbers
+ * @param {Boolean} active whether the field is the active field
+ * @returns String containing an SVG data URL
+ */
+function renderField(info, active){
+    let background = (active && state_colors[info.state]) ? state_colors[info.state] : queued_field_color;
+    if (!info.matchName){
+        if (active) return renderKey(background, [{text: info.field, size: 30}, {text: "Active", size: 20}]);
+        else return renderKey(default_color, [{text: info.field, size: 30, color: idle_text_color}, {text: "Idle", size: 20, color: idle_text_color}]);
+    }
+    return renderKey(background, [
+        {text: info.field, size: 20},
+        {text: info.matchName, size: 40},
+        {text: info.state, size: 20}
+    ].filter(line => line.text), {red: info.red, blue: info.blue});
+}
+
+module.exports = {
+    escapeXML,
+    svgURL,
+    renderKey,
+    renderMatchInfo,
+    renderOnDeck,
+    renderField
+};
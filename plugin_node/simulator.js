@@ -0,0 +1,390 @@
+/**
+ * @file simulator.js
+ * @author John Holbrook
+ * Simulated TM server and field set, used in place of vex-tm-client when a connection profile is in simulator mode.
+ * Only the parts of the vex-tm-client API used by the plugin are implemented, and they return the same shapes.
+ */
+
+const EventEmitter = require("events");
+
+// number of fields, practice matches and qualification matches in the simulated event
+const num_fields = 2;
+const num_practice = 4;
+const num_quals = 24;
+
+// how long the simulated field set takes to respond to a command (ms)
+const latency = 50;
+
+// time between scheduled matches (ms)
+const cycle_time = 4 * 60 * 1000;
+
+/**
+ * Make a simple repeatable pseudo-random number generator, so the simulated event is the same every time.
+ * @param {Number} seed starting value
+ * @returns Function that returns a number between 0 (inclusive) and 1 (exclusive) each time it's called
+ */
+function makeRandom(seed){
+    let state = seed;
+    return () => {
+        state = (state * 1103515245 + 12345) % 2147483648;
+        return state / 2147483648;
+    };
+}
+
+/**
+ * Make a list of fake team numbers for the simulated event.
+ * @returns Array of team numbers
+ */
+function makeTeams(){
+    let teams = [];
+    for (let i=0; i<24; i++){
+        teams.push(`${1000 + i * 137 % 9000}${"ABCD"[i % 4]}`);
+    }
+    return teams;
+}
+
+/**
+ * Make the match list for the simulated event, with teams spread across the matches and the matches alternating between fields.
+ * The schedule starts now, so the event is always on time when the simulator starts.
+ * @param {Array} teams list of team numbers
+ * @returns Array of match objects in the same format as the "match" in a fieldMatchAssigned event, plus the
+ *  scheduled field ("fieldID") and time ("scheduled", ms)
+ */
+function makeMatches(teams){
+    let matches = [];
+    let t = 0;
+    let start = Date.now();
+    let next_team = () => teams[t++ % teams.length];
+    let add = (round, num) => matches.push({
+        division: 1,
+        round: round,
+        instance: 1,
+        match: num,
+        fieldID: (matches.length % num_fields) + 1,
+        scheduled: start + matches.length * cycle_time,
+        alliances: [
+            {color: "RED", teams: [{number: next_team()}, {number: next_team()}]},
+            {color: "BLUE", teams: [{number: next_team()}, {number: next_team()}]}
+        ]
+    });
+    for (let i=1; i<=num_practice; i++) add("PRACTICE", i);
+    for (let i=1; i<=num_quals; i++) add("QUAL", i);
+    return matches;
+}
+
+/**
+ * A simulated field set, which responds to the same commands as a vex-tm-client field set and emits the same events.
+ */
+class SimulatedFieldset extends EventEmitter {
+    /**
+     * @param {Object} options object with the lengths (s) of the periods of a match ("periods")
+     */
+    constructor(options){
+        super();
+        this.id = 1;
+        this.name = "Simulated Field Set";
+        this.periods = options.periods;
+        this.fields = [];
+        for (let i=1; i<=num_fields; i++) this.fields.push({id: i, name: `Field ${i}`});
+        this.teams = makeTeams();
+        this.matches = makeMatches(this.teams);
+        this.queued = -1; // index of the queued match, -1 if no match has been queued yet
+        this.match = null; // the queued match
+        this.fieldID = 0; // field the queued match is on
+        this.period = 0; // index of the period that will run next
+        this.running = false;
+        this.timer = null; // timer for the end of the running period
+        this.connected = false;
+        this.skillsCount = 0; // number of skills matches queued so far
+        this.results = []; // results of completed matches, as objects with the match and the "red" and "blue" scores
+        this.startTimes = new Map(); // time (ms) each match started, keyed by the match
+        this.random = makeRandom(this.matches.length);
+    }
+
+    /**
+     * Send an event to listeners after a short delay, like a real field set would.
+     * @param {Object} event the event to send
+     */
+    emitEvent(event){
+        setTimeout(() => {
+            if (this.connected) this.emit("message", event);
+        }, latency);
+    }
+
+    /**
+     * Get the list of fields in the field set.
+     * @returns Object with the list of fields in "data"
+     */
+    async getFields(){
+        return {success: true, data: this.fields.slice()};
+    }
+
+    /**
+     * Start sending events to listeners.
+     * @returns Object with a disconnect() method
+     */
+    async connect(){
+        this.connected = true;
+        return {
+            disconnect: () => this.disconnect()
+        };
+    }
+
+    /**
+     * Stop sending events to listeners and stop any running match.
+     */
+    disconnect(){
+        this.stopTimer();
+        this.running = false;
+        this.connected = false;
+        this.emit("close");
+    }
+
+    /**
+     * Put a match on a field and announce it.
+     * @param {Object} match the match to queue
+     * @param {Number} fieldID the field to queue it on
+     */
+    assign(match, fieldID){
+        this.stopTimer();
+        this.running = false;
+        this.match = match;
+        this.fieldID = fieldID;
+        this.period = 0;
+        this.emitEvent({type: "fieldMatchAssigned", fieldID: fieldID, match: match});
+        this.emitEvent({type: "fieldActivated", fieldID: fieldID});
+    }
+
+    /**
+     * Queue the match at the given index of the match list, alternating between fields.
+     * @param {Number} idx index of the match to queue
+     */
+    queueIndex(idx){
+        if (idx < 0 || idx >= this.matches.length) return;
+        this.queued = idx;
+        this.assign(this.matches[idx], this.matches[idx].fieldID);
+    }
+
+    /**
+     * Queue the match after the one currently queued.
+     */
+    async queueNextMatch(){
+        this.queueIndex(this.queued + 1);
+    }
+
+    /**
+     * Queue the match before the one currently queued.
+     */
+    async queuePreviousMatch(){
+        this.queueIndex(this.queued - 1);
+    }
+
+    /**
+     * Queue a skills match.
+     * @param {Number} type FieldsetQueueSkillsType.Driver or FieldsetQueueSkillsType.Programming
+     */
+    async queueSkills(type){
+        this.skillsCount++;
+        this.assign({
+            division: 1,
+            round: "SKILLS",
+            instance: type,
+            match: this.skillsCount,
+            alliances: []
+        }, 1);
+    }
+
+    /**
+     * Start the next period of the queued match, stopping it when the period's time is up.
+     */
+    async startMatch(){
+        if (!this.match || this.running || this.period >= this.periodLengths().length) return;
+        this.running = true;
+        if (this.period == 0) this.startTimes.set(this.match, Date.now());
+        this.emitEvent({type: "matchStarted", fieldID: this.fieldID});
+        this.timer = setTimeout(() => {
+            this.timer = null;
+            this.stopPeriod();
+        }, this.periodLengths()[this.period] * 1000);
+    }
+
+    /**
+     * End the running match early. The match is over, even if it had another period left.
+     */
+    async endMatchEarly(){
+        if (!this.running) return;
+        this.stopTimer();
+        this.period = this.periodLengths().length; // the match is over, no more periods
+        this.running = false;
+        this.recordResult();
+        this.emitEvent({type: "matchStopped", fieldID: this.fieldID});
+    }
+
+    /**
+     * Reset the queued match back to its first period (only when it isn't running).
+     */
+    async resetTimer(){
+        if (this.running) return;
+        this.period = 0;
+    }
+
+    /**
+     * Change the audience display.
+     * @param {String} display ID of the display to show (e.g. "INTRO")
+     */
+    async setAudienceDisplay(display){
+        this.emitEvent({type: "audienceDisplayChanged", display: display});
+    }
+
+    /**
+     * Lengths (s) of the periods of the queued match. Skills matches are a single one-minute period.
+     * @returns Array of numbers
+     */
+    periodLengths(){
+        return (this.match && this.match.round == "SKILLS") ? [60] : this.periods;
+    }
+
+    /**
+     * End the running period because its time is up.
+     */
+    stopPeriod(){
+        this.running = false;
+        this.period++;
+        if (this.period >= this.periodLengths().length) this.recordResult();
+        this.emitEvent({type: "matchStopped", fieldID: this.fieldID});
+    }
+
+    /**
+     * Make up scores for the queued match now that it's over (skills matches don't count towards the rankings).
+     */
+    recordResult(){
+        if (!this.match || this.match.round == "SKILLS") return;
+        this.results = this.results.filter(r => r.match != this.match);
+        this.results.push({
+            match: this.match,
+            red: Math.floor(this.random() * 120),
+            blue: Math.floor(this.random() * 120)
+        });
+    }
+
+    /**
+     * Cancel the timer for the end of the running period, if any.
+     */
+    stopTimer(){
+        clearTimeout(this.timer);
+        this.timer = null;
+    }
+}
+
+/**
+ * The simulated event's only division, used in place of a vex-tm-client Division.
+ */
+class SimulatedDivision {
+    /**
+     * @param {SimulatedFieldset} fieldset the field set whose matches make up the division's schedule
+     */
+    constructor(fieldset){
+        this.id = 1;
+        this.name = "Simulated Division";
+        this.fieldset = fieldset;
+    }
+
+    /**
+     * Get the match schedule, with whether each match has been scored and when it started.
+     * @returns Object with the list of matches in "data"
+     */
+    async getMatches(){
+        let fs = this.fieldset;
+        return {success: true, data: fs.matches.map(match => {
+            let result = fs.results.find(r => r.match == match);
+            return Object.assign({}, match, {
+                state: result ? "SCORED" : "SCHEDULED",
+                started: fs.startTimes.get(match)
+            });
+        })};
+    }
+
+    /**
+     * Get the rankings, based on the qualification matches completed on the simulated field set.
+     * @param {String} round round to get rankings for (only qualifications are ranked)
+     * @returns Object with the list of rankings in "data"
+     */
+    async getRankings(round){
+        let records = {};
+        this.fieldset.teams.forEach(team => records[team] = {team: {number: team}, wins: 0, losses: 0, ties: 0, wp: 0, ap: 0, sp: 0});
+        this.fieldset.results.filter(r => r.match.round == "QUAL").forEach(r => {
+            ["RED", "BLUE"].forEach(color => {
+                let ours = (color == "RED") ? r.red : r.blue;
+                let theirs = (color == "RED") ? r.blue : r.red;
+                r.match.alliances.find(a => a.color == color).teams.forEach(t => {
+                    let record = records[t.number];
+                    if (ours > theirs) record.wins++;
+                    else if (ours < theirs) record.losses++;
+                    else record.ties++;
+                    record.wp += (ours > theirs) ? 2 : (ours == theirs) ? 1 : 0;
+                    record.sp += Math.min(ours, theirs);
+                });
+            });
+        });
+        let rankings = Object.values(records).sort((a, b) => (b.wp - a.wp) || (b.sp - a.sp));
+        rankings.forEach((r, i) => r.rank = i + 1);
+        return {success: true, data: rankings};
+    }
+}
+
+/**
+ * A simulated TM server with a single simulated field set, used in place of a vex-tm-client Client.
+ */
+class SimulatedClient {
+    /**
+     * @param {Object} options object with the lengths (s) of the periods of a match ("periods")
+     */
+    constructor(options){
+        this.fieldset = new SimulatedFieldset(options);
+        this.division = new SimulatedDivision(this.fieldset);
+    }
+
+    /**
+     * Connect to the simulated server (always succeeds).
+     * @returns Object with "success" set to true
+     */
+    async connect(){
+        return {success: true};
+    }
+
+    /**
+     * Get the list of field sets on the simulated server.
+     * @returns Object with the list of field sets in "data"
+     */
+    async getFieldsets(){
+        return {success: true, data: [this.fieldset]};
+    }
+
+    /**
+     * Get the list of divisions on the simulated server.
+     * @returns Object with the list of divisions in "data"
+     */
+    async getDivisions(){
+        return {success: true, data: [this.division]};
+    }
+
+    /**
+     * Get the skills rankings, with made-up scores for each team.
+     * @returns Object with the list of skills rankings in "data"
+     */
+    async getSkills(){
+        let random = makeRandom(this.fieldset.teams.length);
+        let skills = this.fieldset.teams.map(team => {
+            let driver = Math.floor(random() * 150);
+            let prog = Math.floor(random() * 100);
+            return {team: {number: team}, driverHighScore: driver, progHighScore: prog, totalScore: driver + prog};
+        });
+        skills.sort((a, b) => b.totalScore - a.totalScore);
+        skills.forEach((s, i) => s.rank = i + 1);
+        return {success: true, data: skills};
+    }
+}
+
+module.exports = {
+    SimulatedClient
+};
@@ -9,6 +9,52 @@ var websocket = null; // websocket object used to talk to the stream deck softwa
 var context = null; // opaque value provided by the Stream Deck software
 var action = null; // the action identifier
 var actionInfo = null; // Object with info about the current action
+var actionSettings = {}; // settings for the current action
+var globalSettings = {}; // all of the global settings (profiles, audit log settings, etc.)
+var profiles = []; // list of connection profiles from the global settings
+var connectionInfo = null; // status, field sets and fields of this action's connection, as sent by the plugin
+
+// which of the "action settings" sections to show for each action
+const action_settings_sections = {
+    "us.johnholbrook.vextm.select-display": ["#display-select-wrapper", "#display-template-wrapper", "#round-names-wrapper"],
+    "us.johnholbrook.vextm.match-info": ["#info-select-wrapper", "#round-names-wrapper"],
+    "us.johnholbrook.vextm.field": ["#field-select-wrapper"],
+    "us.johnholbrook.vextm.macro": ["#macro-wrapper"],
+    "us.johnholbrook.vextm.obs-status": ["#obs-wrapper"],
+    "us.johnholbrook.vextm.display-rotation": ["#rotation-wrapper"],
+    "us.johnholbrook.vextm.team-stats": ["#team-stats-wrapper"],
+    "us.johnholbrook.vextm.on-deck": ["#on-deck-wrapper"],
+    "us.johnholbrook.vextm.schedule-status": ["#schedule-status-wrapper"],
+    "us.johnholbrook.vextm.end-early": ["#protection-wrapper"],
+    "us.johnholbrook.vextm.reset": ["#protection-wrapper"],
+    "us.johnholbrook.vextm.queue-prev": ["#protection-wrapper"]
+};
+
+// commands that can be used as steps in a macro
+const macro_commands = {
+    "queueNextMatch": "Queue Next Match",
+    "queuePreviousMatch": "Queue Previous Match",
+    "queueDrivingSkills": "Queue Driving Skills",
+    "queueProgrammingSkills": "Queue Programming Skills",
+    "startMatch": "Start Match",
+    "endMatchEarly": "End Early",
+    "resetTimer": "Reset Timer",
+    "setAudienceDisplay": "Select Display",
+    "wait": "Wait"
+};
+
+// what can trigger an OBS rule, and what it can change
+const obs_triggers = {
+    "display": "Display Shown",
+    "matchStarted": "Match Started",
+    "matchStopped": "Match Stopped",
+    "field": "Field Activated"
+};
+const obs_changes = {
+    "scene": "Switch Scene",
+    "show": "Show Source",
+    "hide": "Hide Source"
+};
 
 /**
  * Send some JSON data to the stream deck software.
@@ -61,6 +107,7 @@ function connectElgatoStreamDeckSocket(inPort, inPropertyInspectorUUID, inRegist
     // set the action
     actionInfo = JSON.parse(inActionInfo);
     action = actionInfo.action; 
+    actionSettings = actionInfo.payload.settings;
     // alert(`Action Settings: ${JSON.stringify(actionInfo.payload.settings)}`);
 
     // listen for messages from the stream deck software
@@ -70,28 +117,57 @@ function connectElgatoStreamDeckSocket(inPort, inPropertyInspectorUUID, inRegist
 
         // if the plugin sends a global settings update, update the UI
         if (data.event == "didReceiveGlobalSettings"){
-            document.querySelector("#tm-addr-input").value = data.payload.settings.address ? data.payload.settings.address : "";
-            document.querySelector("#tm-key-input").value = data.payload.settings.tm_key ? data.payload.settings.tm_key : "";
-            document.querySelector("#field-set-id").value = data.payload.settings.fieldset ? data.payload.settings.fieldset : 1;
+            globalSettings = data.payload.settings;
+            profiles = readProfiles(globalSettings);
+            showProfiles();
+            showAuditSettings();
+            showBridgeSettings();
+            showObsSettings();
+            showCredentials();
+            showRoundNames();
+        }
+
+        // the plugin sends the connection status and the discovered field sets and fields whenever they change
+        else if (data.event == "sendToPropertyInspector"){
+            if (data.payload.event == "connectionInfo"){
+                let fields_changed = !connectionInfo || JSON.stringify(connectionInfo.fields) != JSON.stringify(data.payload.fields);
+                connectionInfo = data.payload;
+                showConnectionInfo();
+                document.querySelector("#obs-status").innerText = connectionInfo.obsStatus.message;
+                showCredentialsStatus();
+                // OBS rules triggered by a field list the fields by name, once they're known
+                if (fields_changed && action == "us.johnholbrook.vextm.obs-status") showObsRules();
+            }
         }
     };
 
     // show the correct action-specific options, if any
-    if (action == "us.johnholbrook.vextm.select-display"){
-        document.querySelector("#info-select-wrapper").style.display = "none";
-        document.querySelector("#display-select").value = actionInfo.payload.settings.selected_display ? actionInfo.payload.settings.selected_display : "INTRO";
-    }
-    else if (action == "us.johnholbrook.vextm.match-info"){
-        document.querySelector("#display-select-wrapper").style.display = "none";
-        document.querySelector("#info-select").value = actionInfo.payload.settings.selected_info ? actionInfo.payload.settings.selected_info : "1";
-    }
-    else{
-        document.querySelector("#display-select-wrapper").style.display = "none";
-        document.querySelector("#info-select-wrapper").style.display = "none";
+    let sections = action_settings_sections[action] ? action_settings_sections[action] : [];
+    Object.values(action_settings_sections).flat().forEach(section => {
+        document.querySelector(section).style.display = sections.includes(section) ? "" : "none";
+    });
+    if (sections.length == 0){
         document.querySelector("#action-settings").style.display = "none";
     }
+    document.querySelector("#display-select").value = actionSettings.selected_display ? actionSettings.selected_display : "INTRO";
+    document.querySelector("#info-select").value = actionSettings.selected_info ? actionSettings.selected_info : "1";
+    document.querySelector("#show-teams").checked = actionSettings.show_teams ? true : false;
+    document.querySelector("#info-template-input").value = actionSettings.template ? actionSettings.template : "";
+    document.querySelector("#info-template-wrapper").style.display = (actionSettings.selected_info == "6") ? "" : "none";
+    document.querySelector("#display-template-input").value = actionSettings.title_template ? actionSettings.title_template : "";
+    document.querySelector("#protection-select").value = actionSettings.protection ? actionSettings.protection : "none";
+    document.querySelector("#team-source-select").value = actionSettings.team_source ? actionSettings.team_source : "team";
+    document.querySelector("#team-input").value = actionSettings.team ? actionSettings.team : "";
+    showTeamInput();
+    document.querySelector("#on-deck-count-select").value = actionSettings.count ? actionSettings.count : "1";
+    document.querySelector("#behind-minutes-input").value = actionSettings.behind_minutes != null ? actionSettings.behind_minutes : 10;
+    document.querySelector("#late-minutes-input").value = actionSettings.late_minutes != null ? actionSettings.late_minutes : 20;
+    document.querySelector("#idle-minutes-input").value = actionSettings.idle_minutes != null ? actionSettings.idle_minutes : 5;
+    document.querySelector("#rotation-resume-input").value = actionSettings.resume_delay != null ? actionSettings.resume_delay : 10;
+    showMacroSteps();
+    showRotationDisplays();
 
-    // after 200ms, ask for the global settings
+    // after 200ms, ask for the global settings (and the connection info from the plugin)
     // this is stupid, but the "inActionInfo" parameter only appears to contain local settings
     // it appears the only way to get the global settings is to send a "getGlobalSettings" event
     // the 200ms delay is to give the PI time to register with the stream deck software
@@ -100,63 +176,865 @@ function connectElgatoStreamDeckSocket(inPort, inPropertyInspectorUUID, inRegist
             "event": "getGlobalSettings",
             "context": context
         });
+        send({
+            "event": "sendToPlugin",
+            "action": action,
+            "context": context,
+            "payload": {
+                "request": "connectionInfo"
+            }
+        });
     }, 200);
 }
 
 /**
- * Send the updatted address and password to the plugin.
+ * Build the list of connection profiles from the global settings (same rules as the plugin).
+ * @param {Object} settings global settings sent by the stream deck software
+ * @returns Array of profile objects
  */
-function updateSettings(){
-    let address = document.querySelector("#tm-addr-input").value;
-    let tm_key = document.querySelector("#tm-key-input").value;
-    let field_set = document.querySelector("#field-set-id").value;
-    log(`PI updating settings: ${address} ${tm_key}`);
+function readProfiles(settings){
+    if (Array.isArray(settings.profiles) && settings.profiles.length > 0){
+        return settings.profiles.filter(p => p && p.id);
+    }
+    else if (settings.tm_key){
+        return [{
+            id: "default",
+            name: "Default",
+            address: settings.address,
+            tm_key: settings.tm_key,
+            fieldset: settings.fieldset
+        }];
+    }
+    else return [];
+}
+
+/**
+ * Get the profile the current action is bound to (the first profile if none has been selected).
+ * @returns Object representing the profile, or undefined if there are no profiles
+ */
+function currentProfile(){
+    let profile = profiles.find(p => p.id == actionSettings.profile);
+    return profile ? profile : profiles[0];
+}
+
+/**
+ * Fill in the profile dropdown and the connection settings of the selected profile.
+ */
+function showProfiles(){
+    fillSelect("#profile-select", profiles.map(p => ({value: p.id, text: p.name})));
+
+    let profile = currentProfile();
+    document.querySelector("#profile-select").value = profile ? profile.id : "";
+    document.querySelector("#profile-name-input").value = profile && profile.name ? profile.name : "";
+    document.querySelector("#tm-addr-input").value = profile && profile.address ? profile.address : "";
+    document.querySelector("#tm-key-input").value = profile && profile.tm_key ? profile.tm_key : "";
+    document.querySelector("#field-set-id").value = profile && profile.fieldset ? profile.fieldset : 1;
+    document.querySelector("#match-timing-select").value = profile && profile.timing ? profile.timing : "V5RC";
+    document.querySelector("#simulator-input").checked = profile && profile.simulator ? true : false;
+    showConnectionInfo();
+}
+
+/**
+ * Replace the options in a dropdown.
+ * @param {String} selector CSS selector for the select element
+ * @param {Array} options list of objects with "value" and "text" properties
+ */
+function fillSelect(selector, options){
+    let select = document.querySelector(selector);
+    select.innerHTML = "";
+    options.forEach(o => {
+        let option = document.createElement("option");
+        option.value = o.value;
+        option.text = o.text;
+        select.add(option);
+    });
+}
+
+/**
+ * Show the connection status, and the field sets and fields discovered by the plugin.
+ * If no field sets have been discovered, fall back to typing in the field set ID.
+ */
+function showConnectionInfo(){
+    let fieldsets = connectionInfo ? connectionInfo.fieldsets : [];
+    let fields = connectionInfo ? connectionInfo.fields : [];
+    document.querySelector("#connection-status").innerText = connectionInfo ? connectionInfo.status.message : "Not connected";
+
+    let profile = currentProfile();
+    let selected = profile && profile.fieldset ? String(profile.fieldset) : "1";
+    if (fieldsets.length > 0){
+        let options = fieldsets.map(fs => ({value: fs.id, text: fs.name}));
+        if (!fieldsets.find(fs => String(fs.id) == selected)){
+            options.unshift({value: selected, text: `Field set ${selected} (not found)`});
+        }
+        fillSelect("#field-set-select", options);
+        document.querySelector("#field-set-select").value = selected;
+        document.querySelector("#field-set-select-wrapper").style.display = "";
+        document.querySelector("#field-set-id-wrapper").style.display = "none";
+    }
+    else {
+        document.querySelector("#field-set-select-wrapper").style.display = "none";
+        document.querySelector("#field-set-id-wrapper").style.display = "";
+    }
+
+    fillSelect("#fields-list", fields.map(f => ({value: f.id, text: `${f.name} (ID ${f.id})`})));
+    document.querySelector("#fields-list-wrapper").style.display = fields.length > 0 ? "" : "none";
+
+    // the field this action should use, if it has one
+    let field_options = fields.map(f => ({value: f.id, text: f.name}));
+    if (actionSettings.field && !fields.find(f => String(f.id) == String(actionSettings.field))){
+        field_options.unshift({value: actionSettings.field, text: `Field ${actionSettings.field}`});
+    }
+    field_options.unshift({value: "", text: "Choose a field..."});
+    fillSelect("#field-select", field_options);
+    document.querySelector("#field-select").value = actionSettings.field ? actionSettings.field : "";
+}
+
+/**
+ * Send the updated global settings to the plugin.
+ * @param {Object} changes global settings to change (all other global settings are kept as they are)
+ */
+function saveGlobalSettings(changes){
+    globalSettings = Object.assign({}, globalSettings, changes);
     send({
         "event": "setGlobalSettings",
         "context": context,
-        "payload": {
-            "address": address ? address : "localhost",
-            "tm_key": tm_key,
-            "fieldset": field_set
+        "payload": globalSettings
+    });
+}
+
+/**
+ * Send the list of profiles to the plugin.
+ */
+function saveProfiles(){
+    saveGlobalSettings({"profiles": profiles});
+}
+
+/**
+ * Save the connection settings and make the plugin reconnect, even if nothing changed.
+ */
+function reconnect(){
+    // the plugin only reconnects profiles whose settings changed, unless this is different from last time
+    globalSettings.reconnect = Date.now();
+    updateSettings();
+}
+
+/**
+ * Fill in the client credentials entered to override the built-in ones.
+ */
+function showCredentials(){
+    let creds = globalSettings.credentials ? globalSettings.credentials : {};
+    document.querySelector("#client-id-input").value = creds.client_id ? creds.client_id : "";
+    document.querySelector("#client-secret-input").value = creds.client_secret ? creds.client_secret : "";
+    document.querySelector("#client-expiration-input").value = creds.expiration_date ? creds.expiration_date : "";
+    showCredentialsStatus();
+}
+
+/**
+ * Show which client credentials the plugin is using, and whether they have expired or are about to.
+ */
+function showCredentialsStatus(){
+    let creds = connectionInfo ? connectionInfo.credentials : null;
+    let text = "Built-in";
+    if (creds) text = creds.message ? creds.message : (creds.source == "custom" ? "Using the credentials above" : "Built-in");
+    document.querySelector("#credentials-status").innerText = text;
+}
+
+/**
+ * Send the updated client credentials to the plugin. Leaving the client ID or secret blank goes back to the built-in credentials.
+ */
+function updateCredentials(){
+    log("PI updating client credentials");
+    saveGlobalSettings({"credentials": {
+        "client_id": document.querySelector("#client-id-input").value.trim(),
+        "client_secret": document.querySelector("#client-secret-input").value.trim(),
+        "expiration_date": document.querySelector("#client-expiration-input").value
+    }});
+}
+
+/**
+ * Fill in the audit log settings.
+ */
+function showAuditSettings(){
+    let audit = globalSettings.audit ? globalSettings.audit : {};
+    document.querySelector("#audit-enabled").checked = audit.enabled ? true : false;
+    document.querySelector("#audit-directory-input").value = audit.directory ? audit.directory : "";
+    document.querySelector("#audit-retention-input").value = audit.retention_days ? audit.retention_days : 30;
+}
+
+/**
+ * Send the updated audit log settings to the plugin.
+ */
+function updateAuditSettings(){
+    let retention_days = parseInt(document.querySelector("#audit-retention-input").value);
+    saveGlobalSettings({"audit": {
+        "enabled": document.querySelector("#audit-enabled").checked,
+        "directory": document.querySelector("#audit-directory-input").value.trim(),
+        "retention_days": retention_days > 0 ? retention_days : 30
+    }});
+    showAuditSettings();
+}
+
+/**
+ * Fill in the bridge settings.
+ */
+function showBridgeSettings(){
+    let bridge = globalSettings.bridge ? globalSettings.bridge : {};
+    document.querySelector("#bridge-enabled").checked = bridge.enabled ? true : false;
+    document.querySelector("#bridge-port-input").value = bridge.port ? bridge.port : 8650;
+    document.querySelector("#bridge-token-input").value = bridge.token ? bridge.token : "";
+}
+
+/**
+ * Send the updated bridge settings to the plugin. A token is generated if the bridge is turned on without one.
+ * @param {Boolean} newToken replace the token with a newly generated one
+ */
+function updateBridgeSettings(newToken){
+    let port = parseInt(document.querySelector("#bridge-port-input").value);
+    let token = document.querySelector("#bridge-token-input").value.trim();
+    if (newToken === true || !token){
+        let bytes = crypto.getRandomValues(new Uint8Array(16));
+        token = Array.from(bytes, b => b.toString(16).padStart(2, "0")).join("");
+    }
+    saveGlobalSettings({"bridge": {
+        "enabled": document.querySelector("#bridge-enabled").checked,
+        "port": port > 0 ? port : 8650,
+        "token": token
+    }});
+    showBridgeSettings();
+}
+
+/**
+ * Show the displays of the current "display rotation" action, with controls to change, reorder and remove each one.
+ */
+function showRotationDisplays(){
+    let container = document.querySelector("#rotation-displays");
+    container.innerHTML = "";
+    let displays = actionSettings.displays ? actionSettings.displays : [];
+
+    displays.forEach((entry, i) => {
+        // first row: display, and buttons to move it up or remove it
+        let row = createElement("div", "sdpi-item");
+        let label = createElement("div", "sdpi-item-label");
+        label.innerText = `Display ${i+1}`;
+        let display = createElement("select", "select sdpi-item-value");
+        display.innerHTML = document.querySelector("#display-select").innerHTML;
+        display.value = entry.display;
+        display.onchange = () => updateRotationDisplay(i, {display: display.value});
+        let up = createElement("button", "sdpi-item-value");
+        up.innerText = "\u25B2";
+        up.disabled = (i == 0);
+        up.onclick = () => moveRotationDisplay(i);
+        let remove = createElement("button", "sdpi-item-value");
+        remove.innerText = "\u2715";
+        remove.onclick = () => removeRotationDisplay(i);
+        row.append(label, display, up, remove);
+        container.append(row);
+
+        // second row: how long to show it for
+        let seconds_row = createElement("div", "sdpi-item");
+        let seconds_label = createElement("div", "sdpi-item-label");
+        seconds_label.innerText = "Seconds";
+        let seconds = createElement("input", "sdpi-item-value");
+        seconds.type = "number";
+        seconds.min = 1;
+        seconds.value = entry.seconds ? entry.seconds : 10;
+        seconds.onchange = () => updateRotationDisplay(i, {seconds: Math.max(1, Number(seconds.value))});
+        seconds_row.append(seconds_label, seconds);
+        container.append(seconds_row);
+    });
+}
+
+/**
+ * Save a new list of displays to rotate through and redraw them.
+ * @param {Array} displays the new list of displays
+ */
+function saveRotationDisplays(displays){
+    log(`PI Setting rotation displays to ${JSON.stringify(displays)}`);
+    updateActionSettings({"displays": displays});
+    showRotationDisplays();
+}
+
+/**
+ * Add a display to the end of the rotation.
+ */
+function addRotationDisplay(){
+    let displays = actionSettings.displays ? actionSettings.displays.slice() : [];
+    displays.push({display: "RANKINGS", seconds: 10});
+    saveRotationDisplays(displays);
+}
+
+/**
+ * Change one display of the rotation.
+ * @param {Number} i index of the display to change
+ * @param {Object} changes properties of the display to change
+ */
+function updateRotationDisplay(i, changes){
+    let displays = actionSettings.displays.slice();
+    displays[i] = Object.assign({}, displays[i], changes);
+    saveRotationDisplays(displays);
+}
+
+/**
+ * Swap a display of the rotation with the one before it.
+ * @param {Number} i index of the display to move up
+ */
+function moveRotationDisplay(i){
+    let displays = actionSettings.displays.slice();
+    [displays[i-1], displays[i]] = [displays[i], displays[i-1]];
+    saveRotationDisplays(displays);
+}
+
+/**
+ * Remove a display from the rotation.
+ * @param {Number} i index of the display to remove
+ */
+function removeRotationDisplay(i){
+    let displays = actionSettings.displays.slice();
+    displays.splice(i, 1);
+    saveRotationDisplays(displays);
+}
+
+/**
+ * Send the updated resume delay for the current "display rotation" action to the plugin.
+ */
+function updateRotationResume(){
+    let resume_delay = Math.max(0, Number(document.querySelector("#rotation-resume-input").value));
+    log(`PI Setting rotation resume delay to ${resume_delay}`);
+    updateActionSettings({"resume_delay": resume_delay});
+}
+
+/**
+ * Get the OBS settings, with defaults filled in.
+ * @returns Object with "enabled", "host", "port", "password" and "rules" properties
+ */
+function obsSettings(){
+    let obs = globalSettings.obs ? globalSettings.obs : {};
+    return {
+        enabled: obs.enabled ? true : false,
+        host: obs.host ? obs.host : "",
+        port: obs.port ? obs.port : 4455,
+        password: obs.password ? obs.password : "",
+        rules: Array.isArray(obs.rules) ? obs.rules : []
+    };
+}
+
+/**
+ * Fill in the OBS connection settings and rules.
+ */
+function showObsSettings(){
+    let obs = obsSettings();
+    document.querySelector("#obs-enabled").checked = obs.enabled;
+    document.querySelector("#obs-host-input").value = obs.host;
+    document.querySelector("#obs-port-input").value = obs.port;
+    document.querySelector("#obs-password-input").value = obs.password;
+    showObsRules();
+}
+
+/**
+ * Send the updated OBS settings to the plugin.
+ * @param {Object} changes OBS settings to change (all other OBS settings are kept as they are)
+ */
+function saveObsSettings(changes){
+    log(`PI Setting OBS settings: ${JSON.stringify(Object.keys(changes))}`);
+    saveGlobalSettings({"obs": Object.assign(obsSettings(), changes)});
+    showObsSettings();
+}
+
+/**
+ * Send the updated OBS connection settings to the plugin.
+ */
+function updateObsConnection(){
+    let port = parseInt(document.querySelector("#obs-port-input").value);
+    saveObsSettings({
+        enabled: document.querySelector("#obs-enabled").checked,
+        host: document.querySelector("#obs-host-input").value.trim(),
+        port: port > 0 ? port : 4455,
+        password: document.querySelector("#obs-password-input").value
+    });
+}
+
+/**
+ * Show the OBS rules, with controls to change and remove each one.
+ */
+function showObsRules(){
+    let container = document.querySelector("#obs-rules");
+    container.innerHTML = "";
+    let fields = connectionInfo ? connectionInfo.fields : [];
+
+    obsSettings().rules.forEach((rule, i) => {
+        // first row: what triggers the rule, and a button to remove it
+        let row = createElement("div", "sdpi-item");
+        let label = createElement("div", "sdpi-item-label");
+        label.innerText = `Rule ${i+1}`;
+        let trigger = createElement("select", "select sdpi-item-value");
+        Object.keys(obs_triggers).forEach(t => trigger.add(new Option(obs_triggers[t], t)));
+        trigger.value = rule.trigger;
+        trigger.onchange = () => updateObsRule(i, {trigger: trigger.value});
+        let remove = createElement("button", "sdpi-item-value");
+        remove.innerText = "\u2715";
+        remove.onclick = () => removeObsRule(i);
+        row.append(label, trigger, remove);
+        container.append(row);
+
+        // the display or field that triggers the rule, if it needs one
+        let param = null;
+        if (rule.trigger == "display"){
+            param = createElement("select", "select sdpi-item-value");
+            param.innerHTML = document.querySelector("#display-select").innerHTML;
+            param.value = rule.display ? rule.display : "INTRO";
+            param.onchange = () => updateObsRule(i, {display: param.value});
+        }
+        else if (rule.trigger == "field"){
+            param = createElement("select", "select sdpi-item-value");
+            let options = fields.map(f => ({value: f.id, text: f.name}));
+            if (rule.field && !fields.find(f => String(f.id) == String(rule.field))) options.unshift({value: rule.field, text: `Field ${rule.field}`});
+            options.forEach(o => param.add(new Option(o.text, o.value)));
+            param.value = rule.field ? rule.field : "";
+            param.onchange = () => updateObsRule(i, {field: param.value});
         }
+        if (param){
+            let param_row = createElement("div", "sdpi-item");
+            let param_label = createElement("div", "sdpi-item-label");
+            param_label.innerText = (rule.trigger == "field") ? "Field" : "Display";
+            param_row.append(param_label, param);
+            container.append(param_row);
+        }
+
+        // what the rule changes in OBS
+        let change_row = createElement("div", "sdpi-item");
+        let change_label = createElement("div", "sdpi-item-label");
+        change_label.innerText = "Then";
+        let change = createElement("select", "select sdpi-item-value");
+        Object.keys(obs_changes).forEach(c => change.add(new Option(obs_changes[c], c)));
+        change.value = rule.change;
+        change.onchange = () => updateObsRule(i, {change: change.value});
+        change_row.append(change_label, change);
+        container.append(change_row);
+
+        // the scene to switch to, or the scene and source to show or hide
+        let names = [["scene", "Scene"]];
+        if (rule.change != "scene") names.push(["source", "Source"]);
+        names.forEach(([key, text]) => {
+            let name_row = createElement("div", "sdpi-item");
+            let name_label = createElement("div", "sdpi-item-label");
+            name_label.innerText = text;
+            let input = createElement("input", "sdpi-item-value");
+            input.type = "text";
+            input.value = rule[key] ? rule[key] : "";
+            input.onchange = () => updateObsRule(i, {[key]: input.value});
+            name_row.append(name_label, input);
+            container.append(name_row);
+        });
     });
 }
 
 /**
- * Send the selected display to the plugin
+ * Add a rule to the end of the list of OBS rules.
  */
-function updateSelectedDisplay(){
-    let selection = document.querySelector("#display-select").value;
-    log(`PI Setting display to ${selection}`);
+function addObsRule(){
+    let rules = obsSettings().rules.slice();
+    rules.push({trigger: "display", display: "IN_MATCH", change: "scene", scene: ""});
+    saveObsSettings({rules: rules});
+}
+
+/**
+ * Change one of the OBS rules.
+ * @param {Number} i index of the rule to change
+ * @param {Object} changes properties of the rule to change
+ */
+function updateObsRule(i, changes){
+    let rules = obsSettings().rules.slice();
+    rules[i] = Object.assign({}, rules[i], changes);
+    saveObsSettings({rules: rules});
+}
+
+/**
+ * Remove one of the OBS rules.
+ * @param {Number} i index of the rule to remove
+ */
+function removeObsRule(i){
+    let rules = obsSettings().rules.slice();
+    rules.splice(i, 1);
+    saveObsSettings({rules: rules});
+}
+
+/**
+ * Send the updated settings for the current action to the plugin.
+ * @param {Object} changes settings to change (all other settings are kept as they are)
+ */
+function updateActionSettings(changes){
+    actionSettings = Object.assign({}, actionSettings, changes);
     send({
         "event": "setSettings",
         "context": context,
-        "payload": {
-            "selected_display": selection
-        }
+        "payload": actionSettings
     });
 }
 
+/**
+ * Send the updatted profile name, address, password and field set to the plugin.
+ */
+function updateSettings(){
+    let profile = currentProfile();
+    if (!profile){
+        // no profiles yet, so create the first one from what's been entered
+        profile = {id: "default", name: "Default"};
+        profiles.push(profile);
+    }
+    let name = document.querySelector("#profile-name-input").value;
+    let address = document.querySelector("#tm-addr-input").value;
+    let tm_key = document.querySelector("#tm-key-input").value;
+    let field_set = document.querySelector("#field-set-id").value;
+    let timing = document.querySelector("#match-timing-select").value;
+    let simulator = document.querySelector("#simulator-input").checked;
+    log(`PI updating settings: ${name} ${address} ${tm_key}`);
+
+    profile.name = name ? name : profile.name;
+    profile.address = address ? address : "localhost";
+    profile.tm_key = tm_key;
+    profile.fieldset = field_set;
+    profile.timing = timing;
+    profile.simulator = simulator;
+    saveProfiles();
+    showProfiles();
+}
+
+/**
+ * Use the field set chosen from the dropdown of discovered field sets.
+ */
+function updateSelectedFieldset(){
+    document.querySelector("#field-set-id").value = document.querySelector("#field-set-select").value;
+    updateSettings();
+}
+
+/**
+ * Bind the current action to the profile selected in the dropdown.
+ */
+function updateSelectedProfile(){
+    let selection = document.querySelector("#profile-select").value;
+    log(`PI Setting profile to ${selection}`);
+    updateActionSettings({"profile": selection});
+    showProfiles();
+}
+
+/**
+ * Create a new (empty) profile and bind the current action to it.
+ */
+function addProfile(){
+    let profile = {
+        id: `profile-${Date.now()}`,
+        name: `Profile ${profiles.length + 1}`,
+        address: "localhost",
+        tm_key: "",
+        fieldset: 1,
+        timing: "V5RC"
+    };
+    profiles.push(profile);
+    updateActionSettings({"profile": profile.id});
+    saveProfiles();
+    showProfiles();
+}
+
+/**
+ * Delete the profile the current action is bound to. The last remaining profile can't be deleted.
+ */
+function deleteProfile(){
+    let profile = currentProfile();
+    if (!profile || profiles.length <= 1) return;
+    profiles = profiles.filter(p => p.id != profile.id);
+    updateActionSettings({"profile": profiles[0].id});
+    saveProfiles();
+    showProfiles();
+}
+
+/**
+ * Send the selected display to the plugin
+ */
+function updateSelectedDisplay(){
+    let selection = document.querySelector("#display-select").value;
+    log(`PI Setting display to ${selection}`);
+    updateActionSettings({"selected_display": selection});
+}
+
+/**
+ * Send the selected field to the plugin
+ */
+function updateSelectedField(){
+    let selection = document.querySelector("#field-select").value;
+    log(`PI Setting field to ${selection}`);
+    updateActionSettings({"field": selection});
+}
+
 /**
  * Send the selected info to display on teh match info action to the plugin
  */
 function updateSelectedInfo(){
     let selection = document.querySelector("#info-select").value;
     log(`PI Setting Match Info to ${selection}`);
-    send({
-        "event": "setSettings",
-        "context": context,
-        "payload": {
-            "selected_info": selection
+    updateActionSettings({"selected_info": selection});
+    document.querySelector("#info-template-wrapper").style.display = (selection == "6") ? "" : "none";
+}
+
+/**
+ * Send the custom template for the match info action to the plugin
+ */
+function updateInfoTemplate(){
+    let template = document.querySelector("#info-template-input").value;
+    log(`PI Setting Match Info template to ${template}`);
+    updateActionSettings({"template": template});
+}
+
+/**
+ * Send the title template for the select display action to the plugin
+ */
+function updateDisplayTemplate(){
+    let template = document.querySelector("#display-template-input").value;
+    log(`PI Setting Select Display title template to ${template}`);
+    updateActionSettings({"title_template": template});
+}
+
+/**
+ * Fill in the round names that override the built-in ones, one "ROUND=Name" per line.
+ */
+function showRoundNames(){
+    let names = globalSettings.round_names ? globalSettings.round_names : {};
+    document.querySelector("#round-names-input").value = Object.keys(names).map(round => `${round}=${names[round]}`).join("\n");
+}
+
+/**
+ * Send the round names that override the built-in ones to the plugin. Lines that aren't "ROUND=Name" are ignored.
+ */
+function updateRoundNames(){
+    let names = {};
+    document.querySelector("#round-names-input").value.split("\n").forEach(line => {
+        let parts = line.split("=");
+        if (parts.length == 2 && parts[0].trim() && parts[1].trim()) names[parts[0].trim().toUpperCase()] = parts[1].trim();
+    });
+    log(`PI Setting round names to ${JSON.stringify(names)}`);
+    saveGlobalSettings({"round_names": names});
+    showRoundNames();
+}
+
+/**
+ * Send whether to show the teams in the match on the match info action to the plugin
+ */
+function updateShowTeams(){
+    let selection = document.querySelector("#show-teams").checked;
+    log(`PI Setting Show Teams to ${selection}`);
+    updateActionSettings({"show_teams": selection});
+}
+
+/**
+ * Send the thresholds for the schedule status action to the plugin
+ */
+function updateScheduleThresholds(){
+    let thresholds = {
+        "behind_minutes": Math.max(0, Number(document.querySelector("#behind-minutes-input").value)),
+        "late_minutes": Math.max(0, Number(document.querySelector("#late-minutes-input").value)),
+        "idle_minutes": Math.max(1, Number(document.querySelector("#idle-minutes-input").value))
+    };
+    log(`PI Setting schedule status thresholds to ${JSON.stringify(thresholds)}`);
+    updateActionSettings(thresholds);
+}
+
+/**
+ * Send the selected protection mode to the plugin
+ */
+function updateProtection(){
+    let selection = document.querySelector("#protection-select").value;
+    log(`PI Setting protection to ${selection}`);
+    updateActionSettings({"protection": selection});
+}
+
+/**
+ * Only show the team number input when the "team stats" action shows a fixed team.
+ */
+function showTeamInput(){
+    let source = document.querySelector("#team-source-select").value;
+    document.querySelector("#team-input-wrapper").style.display = (source == "team") ? "" : "none";
+}
+
+/**
+ * Send the team to show on the team stats action to the plugin
+ */
+function updateTeam(){
+    let source = document.querySelector("#team-source-select").value;
+    let team = document.querySelector("#team-input").value;
+    log(`PI Setting team to ${source} ${team}`);
+    updateActionSettings({"team_source": source, "team": team});
+    showTeamInput();
+}
+
+/**
+ * Send the number of upcoming matches to show on the on deck action to the plugin
+ */
+function updateOnDeckCount(){
+    let selection = document.querySelector("#on-deck-count-select").value;
+    log(`PI Setting on deck count to ${selection}`);
+    updateActionSettings({"count": selection});
+}
+
+/**
+ * Create an element with the given tag and class.
+ * @param {String} tag tag name of the element
+ * @param {String} className class(es) of the element
+ * @returns the new element
+ */
+function createElement(tag, className){
+    let element = document.createElement(tag);
+    if (className) element.className = className;
+    return element;
+}
+
+/**
+ * Show the steps of the current "macro" action, with controls to change, reorder and remove each one.
+ */
+function showMacroSteps(){
+    let container = document.querySelector("#macro-steps");
+    container.innerHTML = "";
+    let steps = actionSettings.steps ? actionSettings.steps : [];
+
+    steps.forEach((step, i) => {
+        // first row: step number, command, and buttons to move the step up or remove it
+        let row = createElement("div", "sdpi-item");
+        let label = createElement("div", "sdpi-item-label");
+        label.innerText = `Step ${i+1}`;
+        let command = createElement("select", "select sdpi-item-value");
+        Object.keys(macro_commands).forEach(cmd => {
+            let option = document.createElement("option");
+            option.value = cmd;
+            option.text = macro_commands[cmd];
+            command.add(option);
+        });
+        command.value = step.cmd;
+        command.onchange = () => updateMacroStep(i, {cmd: command.value});
+        let up = createElement("button", "sdpi-item-value");
+        up.innerText = "\u25B2";
+        up.disabled = (i == 0);
+        up.onclick = () => moveMacroStep(i);
+        let remove = createElement("button", "sdpi-item-value");
+        remove.innerText = "\u2715";
+        remove.onclick = () => removeMacroStep(i);
+        row.append(label, command, up, remove);
+        container.append(row);
+
+        // second row: the command's parameter, if it has one
+        let param = null;
+        if (step.cmd == "setAudienceDisplay"){
+            param = createElement("select", "select sdpi-item-value");
+            param.innerHTML = document.querySelector("#display-select").innerHTML;
+            param.value = step.display ? step.display : "INTRO";
+            param.onchange = () => updateMacroStep(i, {display: param.value});
+        }
+        else if (step.cmd == "wait"){
+            param = createElement("input", "sdpi-item-value");
+            param.type = "number";
+            param.min = 1;
+            param.value = step.seconds ? step.seconds : 1;
+            param.onchange = () => updateMacroStep(i, {seconds: Number(param.value)});
+        }
+        if (param){
+            let param_row = createElement("div", "sdpi-item");
+            let param_label = createElement("div", "sdpi-item-label");
+            param_label.innerText = (step.cmd == "wait") ? "Seconds" : "Display";
+            param_row.append(param_label, param);
+            container.append(param_row);
         }
     });
 }
 
+/**
+ * Save a new list of macro steps and redraw them.
+ * @param {Array} steps the new list of steps
+ */
+function saveMacroSteps(steps){
+    log(`PI Setting macro steps to ${JSON.stringify(steps)}`);
+    updateActionSettings({"steps": steps});
+    showMacroSteps();
+}
+
+/**
+ * Add a step to the end of the macro.
+ */
+function addMacroStep(){
+    let steps = actionSettings.steps ? actionSettings.steps.slice() : [];
+    steps.push({cmd: "queueNextMatch"});
+    saveMacroSteps(steps);
+}
+
+/**
+ * Change one step of the macro.
+ * @param {Number} i index of the step to change
+ * @param {Object} changes properties of the step to change
+ */
+function updateMacroStep(i, changes){
+    let steps = actionSettings.steps.slice();
+    steps[i] = Object.assign({}, steps[i], changes);
+    saveMacroSteps(steps);
+}
+
+/**
+ * Swap a step of the macro with the one before it.
+ * @param {Number} i index of the step to move up
+ */
+function moveMacroStep(i){
+    let steps = actionSettings.steps.slice();
+    [steps[i-1], steps[i]] = [steps[i], steps[i-1]];
+    saveMacroSteps(steps);
+}
+
+/**
+ * Remove a step from the macro.
+ * @param {Number} i index of the step to remove
+ */
+function removeMacroStep(i){
+    let steps = actionSettings.steps.slice();
+    steps.splice(i, 1);
+    saveMacroSteps(steps);
+}
+
 document.addEventListener("DOMContentLoaded", function() {
+    document.querySelector("#profile-select").onchange = updateSelectedProfile;
+    document.querySelector("#profile-name-input").onchange = updateSettings;
+    document.querySelector("#add-profile").onclick = addProfile;
+    document.querySelector("#delete-profile").onclick = deleteProfile;
     document.querySelector("#tm-addr-input").onchange = updateSettings;
     document.querySelector("#tm-key-input").onchange = updateSettings;
     document.querySelector("#field-set-id").onchange = updateSettings;
-    document.querySelector("#reconnect").onclick = updateSettings;
+    document.querySelector("#field-set-select").onchange = updateSelectedFieldset;
+    document.querySelector("#match-timing-select").onchange = updateSettings;
+    document.querySelector("#simulator-input").onchange = updateSettings;
+    document.querySelector("#reconnect").onclick = reconnect;
+    document.querySelector("#client-id-input").onchange = updateCredentials;
+    document.querySelector("#client-secret-input").onchange = updateCredentials;
+    document.querySelector("#client-expiration-input").onchange = updateCredentials;
+    document.querySelector("#audit-enabled").onchange = updateAuditSettings;
+    document.querySelector("#audit-directory-input").onchange = updateAuditSettings;
+    document.querySelector("#audit-retention-input").onchange = updateAuditSettings;
+    document.querySelector("#bridge-enabled").onchange = updateBridgeSettings;
+    document.querySelector("#bridge-port-input").onchange = updateBridgeSettings;
+    document.querySelector("#bridge-token-input").onchange = updateBridgeSettings;
+    document.querySelector("#bridge-new-token").onclick = () => updateBridgeSettings(true);
+    document.querySelector("#obs-enabled").onchange = updateObsConnection;
+    document.querySelector("#obs-host-input").onchange = updateObsConnection;
+    document.querySelector("#obs-port-input").onchange = updateObsConnection;
+    document.querySelector("#obs-password-input").onchange = updateObsConnection;
+    document.querySelector("#add-obs-rule").onclick = addObsRule;
+    document.querySelector("#add-rotation-display").onclick = addRotationDisplay;
+    document.querySelector("#rotation-resume-input").onchange = updateRotationResume;
     document.querySelector("#display-select").onchange = updateSelectedDisplay;
     document.querySelector("#info-select").onchange = updateSelectedInfo;
+    document.querySelector("#show-teams").onchange = updateShowTeams;
+    document.querySelector("#info-template-input").onchange = updateInfoTemplate;
+    document.querySelector("#display-template-input").onchange = updateDisplayTemplate;
+    document.querySelector("#round-names-input").onchange = updateRoundNames;
+    document.querySelector("#add-macro-step").onclick = addMacroStep;
+    document.querySelector("#protection-select").onchange = updateProtection;
+    document.querySelector("#team-source-select").onchange = updateTeam;
+    document.querySelector("#team-input").onchange = updateTeam;
+    document.querySelector("#on-deck-count-select").onchange = updateOnDeckCount;
+    document.querySelector("#behind-minutes-input").onchange = updateScheduleThresholds;
+    document.querySelector("#late-minutes-input").onchange = updateScheduleThresholds;
+    document.querySelector("#idle-minutes-input").onchange = updateScheduleThresholds;
+    document.querySelector("#field-select").onchange = updateSelectedField;
 });
\ No newline at end of file